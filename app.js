@@ -3,15 +3,45 @@
  *
  * Handles:
  *  - User interface interactions (settings form, chat input/output).
- *  - Managing local chat message history.
+ *  - Managing local chat message history as a branching tree (see conversation-tree.js),
+ *    saved to IndexedDB (see storage.js).
+ *  - Message actions: regenerate a reply, edit and resend a prompt, retry a failed turn.
+ *  - The conversation sidebar (reopen, rename and delete past conversations).
  *  - Communicating with the backend server (server.js) via fetch API.
- *  - Processing streamed responses from the backend.
+ *  - Signing in when the backend requires it; the signed-in user's name labels their messages.
+ *  - Processing the typed Server-Sent Events streamed back by the backend.
+ *  - Rendering assistant replies as Markdown (see markdown.js).
  *
  * NOTE: This frontend does NOT interact directly with the @ubc-genai-toolkit/llm module.
  * Direct browser usage was prevented by Node.js-specific dependencies within the underlying
  * 'ollama' library used by the toolkit. Instead, server.js acts as a proxy.
  */
 
+import {
+    saveConversation,
+    getConversation,
+    listConversations,
+    renameConversation,
+    deleteConversation,
+    generateTitle,
+} from './storage.js';
+import { renderMarkdown, createStreamingRenderer } from './markdown.js';
+import {
+    createTree,
+    treeFromMessages,
+    addMessage,
+    activePath,
+    historyTo,
+    lastNodeId,
+    siblingInfo,
+    selectSibling,
+    summaryFor,
+} from './conversation-tree.js';
+
+// Address of the backend server (server.js), read from config.json at startup (see loadClientConfig).
+// '.' resolves against this page, so the API is found when the app is served under a path prefix.
+let apiBaseUrl = '.';
+
 // --- DOM Elements (Get references to UI components) ---
 const settingsView = document.getElementById('settings-view');
 const chatView = document.getElementById('chat-view');
@@ -20,25 +50,93 @@ const userNameInput = document.getElementById('user-name');
 const systemPromptInput = document.getElementById('system-prompt');
 const temperatureInput = document.getElementById('temperature');
 const maxTokensInput = document.getElementById('max-tokens');
+const providerSelect = document.getElementById('provider');
+const modelSelect = document.getElementById('model');
 
 const chatLog = document.getElementById('chat-log');
 const userInput = document.getElementById('user-input');
 const sendBtn = document.getElementById('send-btn');
+const stopBtn = document.getElementById('stop-btn');
 const resetBtn = document.getElementById('reset-btn');
+const conversationStats = document.getElementById('conversation-stats');
+
+const newChatBtn = document.getElementById('new-chat-btn');
+const conversationList = document.getElementById('conversation-list');
+const signOutBtn = document.getElementById('sign-out-btn');
+
+const documentList = document.getElementById('document-list');
+const documentUploadBtn = document.getElementById('document-upload-btn');
+const documentUploadInput = document.getElementById('document-upload');
+const documentStatus = document.getElementById('document-status');
+
+const loginView = document.getElementById('login-view');
+const loginForm = document.getElementById('login-form');
+const loginError = document.getElementById('login-error');
+const oidcLoginLink = document.getElementById('oidc-login-link');
 
 // --- State Variables (Store application state) ---
 // No longer need llmModule or conversation instances here
 let userName = '';
-let llmModelName = 'Assistant'; // Static name for the LLM in the UI
+let llmModelName = 'Assistant'; // Name shown for the LLM until the backend reports which model answered
+let selectedProvider = '';    // Provider name chosen in settings ('' lets the server use its default)
+let selectedModel = '';       // Model chosen in settings ('' lets the server use its default)
+let availableProviders = [];  // Providers and their models, as reported by GET /providers
 let currentTemperature = 0.7; // Default temperature, updated from settings
 let currentMaxTokens = 500;   // Default max tokens, updated from settings
-let messageHistory = [];      // Array to store message objects { role: 'user'/'assistant'/'system', content: '...' }
+let conversationTree = createTree(); // Message tree; the active branch is what is shown and sent (see conversation-tree.js)
 let systemPrompt = '';         // System prompt provided by the user
+let activeRequest = null;      // AbortController for the in-flight /chat request, if any
+let currentConversationId = null; // IndexedDB id of the conversation shown in the chat view
+let currentUser = null;        // Signed-in user ({ id, username, displayName }), as reported by GET /auth/me
+let csrfToken = '';            // Sent with state-changing requests (see server/csrf.js)
 
 // --- Helper Functions ---
 
+/**
+ * Calls the backend. The session cookie is sent along (also when the API is on another
+ * allowed origin), and state-changing requests carry the CSRF token.
+ * @param {string} path - The API path, e.g. '/chat' (relative to apiBaseUrl).
+ * @param {RequestInit} [options] - Options for fetch.
+ * @returns {Promise<Response>} The fetch response.
+ */
+function apiFetch(path, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const headers = { ...options.headers };
+    if (method !== 'GET' && method !== 'HEAD' && csrfToken) {
+        headers['X-CSRF-Token'] = csrfToken;
+    }
+    return fetch(apiUrl(path), { credentials: 'include', ...options, headers });
+}
+
+/**
+ * @param {string} path - The API path, e.g. '/chat'.
+ * @returns {string} The URL of that path under apiBaseUrl.
+ */
+function apiUrl(path) {
+    return `${apiBaseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
+
+/**
+ * Reads config.json next to this page to find the API. The backend serves one when it
+ * serves the frontend; a frontend hosted elsewhere ships its own. Without one, the API
+ * is assumed to be on the same path as the page.
+ */
+async function loadClientConfig() {
+    try {
+        const response = await fetch('config.json', { cache: 'no-store' });
+        if (!response.ok) return;
+        const clientConfig = await response.json();
+        if (typeof clientConfig.apiBaseUrl === 'string' && clientConfig.apiBaseUrl) {
+            apiBaseUrl = clientConfig.apiBaseUrl;
+        }
+    } catch (error) {
+        console.warn('Could not read config.json; using the page location as the API address.', error);
+    }
+}
+
 /**
  * Displays a message (user or assistant) in the chat log UI.
+ * Assistant messages are rendered as Markdown; user messages stay plain text.
  * Handles formatting and ensures the chat log scrolls down.
  * @param {string} sender - Name of the sender (user or LLM).
  * @param {string} text - The message content.
@@ -53,13 +151,14 @@ function displayMessage(sender, text, type) {
     senderStrong.textContent = `${sender}:`;
     messageDiv.appendChild(senderStrong);
 
-    const textSpan = document.createElement('span');
+    // Assistant replies hold block-level Markdown (paragraphs, lists, code), so they get a div
+    const textSpan = document.createElement(type === 'assistant' ? 'div' : 'span');
 
     // Add class for assistant responses to target for streaming updates
     if (type === 'assistant') {
         textSpan.classList.add('assistant-response');
-        if (text) { // Handle initial placeholder text (e.g., "...")
-            textSpan.textContent = text;
+        if (text) { // Handle initial placeholder text (e.g., "...") and restored replies
+            renderMarkdown(textSpan, text);
         }
     } else {
         // Format user messages, handling newlines
@@ -79,55 +178,215 @@ function displayMessage(sender, text, type) {
     return messageDiv;
 }
 
+/**
+ * Fetches the configured providers and their models from the backend (/providers)
+ * and fills the provider dropdown in the settings form. The server's default
+ * provider is preselected. If the request fails, both dropdowns keep only their
+ * "Server default" option.
+ */
+async function loadProviders() {
+    try {
+        const response = await apiFetch('/providers');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+
+        availableProviders = data.providers;
+        providerSelect.replaceChildren(new Option('Server default', '')); // The list is reloaded after signing in
+        for (const provider of availableProviders) {
+            const option = document.createElement('option');
+            option.value = provider.name;
+            option.textContent = `${provider.name} (${provider.provider})`;
+            option.selected = provider.isDefault;
+            providerSelect.appendChild(option);
+        }
+        populateModels();
+    } catch (error) {
+        console.error('Could not load the provider list:', error);
+    }
+}
+
+/**
+ * Fills the model dropdown with the models of the provider currently selected in
+ * the settings form, preselecting that provider's default model.
+ */
+function populateModels() {
+    const provider = availableProviders.find((p) => p.name === providerSelect.value)
+        || availableProviders.find((p) => p.isDefault);
+
+    modelSelect.replaceChildren(new Option('Server default', ''));
+    if (!provider) return;
+
+    if (provider.error) {
+        console.warn(`Models for provider '${provider.name}' are unavailable: ${provider.error}`);
+    }
+    for (const model of provider.models) {
+        modelSelect.appendChild(new Option(model, model, false, model === provider.defaultModel));
+    }
+}
+
+/**
+ * Parses a Server-Sent Events stream from a fetch response body.
+ * The backend emits typed events (token, metadata, usage, error, done), each with a
+ * single JSON document on its `data:` line. EventSource cannot be used because /chat
+ * is a POST request, so the stream is parsed by hand here.
+ * @param {ReadableStream<Uint8Array>} body - The response body to read.
+ * @yields {{ event: string, data: object }} Each parsed event, in order.
+ */
+async function* readServerEvents(body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read(); // Read chunks from the stream
+        if (done) break; // Exit loop when stream is finished
+        buffer += value;
+
+        // Events are separated by a blank line; keep any trailing partial event in the buffer
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const rawEvent = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+
+            let event = 'message';
+            let data = '';
+            for (const line of rawEvent.split('\n')) {
+                if (line.startsWith('event:')) {
+                    event = line.slice(6).trim();
+                } else if (line.startsWith('data:')) {
+                    data += line.slice(5).trim();
+                }
+            }
+            yield { event, data: data ? JSON.parse(data) : {} };
+        }
+    }
+}
+
 /**
  * Handles the process of sending a user message:
- * 1. Displays the user message in the UI.
- * 2. Adds the message to the local messageHistory.
- * 3. Sends the current messageHistory to the backend (/chat endpoint).
- * 4. Processes the streamed text response from the backend.
- * 5. Displays the streamed response in the UI.
- * 6. Adds the complete assistant response to the local messageHistory.
- * 7. Re-enables the input field.
+ * 1. Adds the message to the end of the active branch of the conversation tree.
+ * 2. Displays it in the UI.
+ * 3. Streams the assistant's reply (see streamReply).
  */
 async function handleSendMessage() {
     const messageText = userInput.value.trim();
-    if (!messageText) return; // Do nothing if input is empty
+    if (!messageText || activeRequest) return; // Do nothing if input is empty or a reply is streaming
 
     userInput.value = ''; // Clear input field
-    sendBtn.disabled = true;
-    userInput.disabled = true;
 
-    // Display User Message & Add to Local History
-    displayMessage(userName, messageText, 'user');
-    messageHistory.push({ role: 'user', content: messageText });
+    const userNodeId = addMessage(conversationTree, lastNodeId(conversationTree), { role: 'user', content: messageText });
+    renderChatLog();
+    await streamReply(userNodeId);
+}
+
+/**
+ * Generates another reply to the same prompt. The new reply becomes a sibling of the
+ * old one, so both stay available through the "< 1/2 >" controls.
+ * @param {string} assistantNodeId - The reply to regenerate.
+ */
+function handleRegenerate(assistantNodeId) {
+    streamReply(conversationTree.nodes[assistantNodeId].parentId);
+}
+
+/**
+ * Resends an edited user message. The edit becomes a new branch next to the original
+ * message, and everything after the original stays on the old branch.
+ * @param {string} userNodeId - The message that was edited.
+ * @param {string} newText - The edited text.
+ */
+function handleEditResend(userNodeId, newText) {
+    const { parentId } = conversationTree.nodes[userNodeId];
+    const editedNodeId = addMessage(conversationTree, parentId, { role: 'user', content: newText });
+    renderChatLog();
+    streamReply(editedNodeId);
+}
+
+/**
+ * Streams an assistant reply to the message `parentId` and adds it to the tree:
+ * 1. Displays a placeholder assistant message.
+ * 2. Sends the history from the root down to `parentId` to the backend (/chat endpoint).
+ * 3. Processes the streamed events (tokens, metadata, usage, errors) from the backend.
+ * 4. Displays the streamed response in the UI.
+ * 5. Adds the complete reply under `parentId`; if it already had replies, this starts a new branch.
+ * 6. Re-enables the input field.
+ * The request can be cancelled with the Stop button; any partial answer is kept.
+ * A failed turn is not added to the tree; its error bubble offers a Retry button instead.
+ * @param {string} parentId - The user message to reply to.
+ */
+async function streamReply(parentId) {
+    setBusy(true);
+
+    // Allow the user to cancel this request with the Stop button
+    activeRequest = new AbortController();
+
+    // Remember which conversation this turn belongs to, in case the user switches away mid-stream
+    const conversation = currentConversationState();
 
     // Prepare UI for Assistant Response (add placeholder message)
     const assistantMsgDiv = displayMessage(llmModelName, '...', 'assistant');
     const assistantResponseSpan = assistantMsgDiv.querySelector('.assistant-response');
+    const markdownRenderer = createStreamingRenderer(assistantResponseSpan);
 
     let fullAssistantResponse = ''; // Accumulate the full response text
+    let replyLabel = null; // Provider/model that answered, from the metadata event
+    let trimmedMessages = 0; // Older messages the server left out to fit the context window
+    let newSummary = null; // Refreshed conversation summary, kept with the reply for later turns
+    let replyStats = null; // Token counts and timings from the stats event
+    let replySources = null; // Course document excerpts the reply may cite, from the sources event
+
+    // Adds the reply to the tree and, if its conversation is still shown, re-renders
+    // the chat log so the new message gets its action buttons.
+    const addReply = (extra = {}) => {
+        addMessage(conversation.tree, parentId, {
+            role: 'assistant',
+            content: fullAssistantResponse,
+            ...(replyLabel && { label: replyLabel }),
+            ...(trimmedMessages && { trimmedMessages }),
+            ...(newSummary && { summary: newSummary }),
+            ...(replyStats && { stats: replyStats }),
+            ...(replySources && { sources: replySources }),
+            ...extra,
+        });
+        if (conversation.id === currentConversationId) {
+            renderChatLog();
+        }
+    };
 
     try {
-        // Send message history to the backend server
-        const response = await fetch('http://localhost:3001/chat', {
+        // Send the history up to the message being answered to the backend server
+        const response = await apiFetch('/chat', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
-                messages: messageHistory, // Send the entire history
+                messages: historyTo(conversation.tree, parentId), // Send the history along this branch
+                // The server sends this summary instead of the older turns it covers
+                summary: summaryFor(conversation.tree, parentId),
+                // Only send a provider when one was chosen; otherwise the server's default applies
+                ...(selectedProvider && { provider: selectedProvider }),
                 options: { // Send current LLM options
                     temperature: currentTemperature,
                     maxTokens: currentMaxTokens,
+                    // Only send a model when one was chosen; otherwise the server's default applies
+                    ...(selectedModel && { model: selectedModel }),
                 },
             }),
+            signal: activeRequest.signal, // Aborting closes the connection, which cancels generation on the server
         });
 
         // Handle HTTP errors from the backend
         if (!response.ok) {
             let errorData = await response.json().catch(() => null); // Try to parse backend error
             let errMsg = errorData?.error || `HTTP error! status: ${response.status}`;
-            throw new Error(errMsg);
+            const httpError = new Error(errMsg);
+            httpError.errorCode = errorData?.errorCode; // Machine-readable cause (see server/errors.js)
+            if (response.status === 429) {
+                // Over a usage quota: remember when the server says to try again
+                httpError.retryAfter = Number(response.headers.get('Retry-After')) || errorData?.retryAfter;
+            }
+            throw httpError;
         }
 
         // Ensure the response body is available for streaming
@@ -135,47 +394,735 @@ async function handleSendMessage() {
             throw new Error('Response body is missing');
         }
 
-        // Process the streamed response body
-        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
-        let firstChunk = true;
+        // Process the streamed events from the backend
+        let streamError = null;
 
-        while (true) {
-            const { value, done } = await reader.read(); // Read chunks from the stream
-            if (done) break; // Exit loop when stream is finished
-
-            if (firstChunk) {
-                assistantResponseSpan.textContent = ''; // Clear the "..." placeholder
-                firstChunk = false;
+        for await (const { event, data } of readServerEvents(response.body)) {
+            if (event === 'summary') {
+                // The server folded older turns into a new summary; send it back next turn
+                newSummary = data;
+            } else if (event === 'context') {
+                // The history was too long for the model, so the oldest messages were not sent
+                trimmedMessages = data.trimmedMessages;
+                showTrimmedNote(assistantMsgDiv, trimmedMessages);
+            } else if (event === 'sources') {
+                // Excerpts from the course documents the model was given; it cites them as [1], [2], ...
+                replySources = data.sources;
+                showSources(assistantMsgDiv, replySources);
+            } else if (event === 'token') {
+                fullAssistantResponse += data.content; // Accumulate the full response
+                // Re-render the reply so far as Markdown (replaces the "..." placeholder)
+                markdownRenderer.update(fullAssistantResponse);
+                chatLog.scrollTop = chatLog.scrollHeight; // Keep scrolled down
+            } else if (event === 'metadata') {
+                // Label the message with the provider and model that actually answered,
+                // naming the chosen provider when a fallback answered in its place
+                if (data.failoverFrom) {
+                    replyLabel = `${data.model || data.provider} (${data.provider}, standing in for ${data.failoverFrom})`;
+                    assistantMsgDiv.querySelector('strong').textContent = `${replyLabel}:`;
+                } else if (data.model) {
+                    replyLabel = availableProviders.length > 1 ? `${data.model} (${data.provider})` : data.model;
+                    assistantMsgDiv.querySelector('strong').textContent = `${replyLabel}:`;
+                }
+            } else if (event === 'stats') {
+                // Shown under the reply once it is added to the tree; the `usage` event
+                // carries the same token counts, so it is not handled separately
+                replyStats = data;
+            } else if (event === 'error') {
+                // The backend failed after streaming had started
+                streamError = Object.assign(new Error(data.error || 'The response stream was interrupted.'), { errorCode: data.errorCode });
+            } else if (event === 'done') {
+                break;
             }
-            // Append the received text chunk to the UI
-            assistantResponseSpan.appendChild(document.createTextNode(value));
-            fullAssistantResponse += value; // Accumulate the full response
-            chatLog.scrollTop = chatLog.scrollHeight; // Keep scrolled down
         }
 
-        // Add the complete assistant response to the local history
-        messageHistory.push({ role: 'assistant', content: fullAssistantResponse });
+        if (streamError) {
+            throw streamError;
+        }
+
+        // Render the finished reply without the temporary fixes for half-received blocks
+        markdownRenderer.finish(fullAssistantResponse);
+
+        // Add the complete assistant response to the tree, under the message it answers
+        addReply();
 
     } catch (error) {
+        if (error.name === 'AbortError') {
+            // Stopped by the user: keep the partial answer so the conversation can continue from it
+            markdownRenderer.finish(fullAssistantResponse);
+            if (fullAssistantResponse) {
+                addReply({ stopped: true });
+            } else {
+                appendNote(assistantMsgDiv, 'stream-stopped', 'Stopped.');
+            }
+            return;
+        }
+
         // Display errors in the UI
         console.error('Error fetching or processing chat stream:', error);
-        assistantResponseSpan.textContent = `Error: ${error.message}`;
-        assistantResponseSpan.style.color = 'red';
-        // Note: The failed assistant message remains in the UI with the error.
-        // Consider adding logic to remove it or add the error to messageHistory if needed.
+        // Keep any partial answer visible and explain why it stopped
+        markdownRenderer.finish(fullAssistantResponse);
+        if (error.retryAfter !== undefined) {
+            // A usage limit, not a failure: say so plainly, with when to try again
+            appendNote(assistantMsgDiv, 'quota-notice', `${describeChatError(error)} You can send again in ${formatWait(error.retryAfter)}.`);
+        } else {
+            appendNote(assistantMsgDiv, 'stream-error', `Error: ${describeChatError(error)}`);
+        }
+
+        // The failed turn is not added to the tree; offer to try it again instead
+        const retryBtn = document.createElement('button');
+        retryBtn.classList.add('retry-btn');
+        retryBtn.textContent = 'Retry';
+        retryBtn.onclick = () => {
+            assistantMsgDiv.remove();
+            streamReply(parentId);
+        };
+        assistantMsgDiv.appendChild(retryBtn);
     } finally {
         // Re-enable input fields regardless of success or failure
-        sendBtn.disabled = false;
-        userInput.disabled = false;
+        activeRequest = null;
+        setBusy(false);
+        // Save the turn (including a partial one) so it survives a refresh
+        persistConversation(conversation).catch((error) => console.error('Could not save conversation:', error));
+    }
+}
+
+// Messages for the `errorCode` of failed chat turns (see server/errors.js); other errors show the server's message
+const CHAT_ERROR_MESSAGES = {
+    model_not_found: 'This model is not available on the server. If it runs on Ollama, ask your admin to run ollama pull for it, or pick another model in the settings.',
+    context_length_exceeded: 'This conversation is too long for the model. Start a new chat, or lower Max Tokens in the settings.',
+    content_filtered: 'The provider declined to answer because of its content policy. Try rephrasing your message.',
+    rate_limited: 'The AI provider is receiving too many requests right now.',
+    timeout: 'The model took too long to answer. Try again, or pick a smaller model in the settings.',
+    provider_unavailable: 'The AI provider cannot be reached right now. Try again in a few minutes.',
+    provider_auth_failed: 'The server could not sign in to the AI provider. Ask your admin to check its API key.',
+};
+
+/**
+ * Explains why a chat turn failed, in terms the student can act on.
+ * @param {Error} error - The error, with the server's `errorCode` when it sent one.
+ * @returns {string} A tailored message, or the server's message for other errors.
+ */
+function describeChatError(error) {
+    return CHAT_ERROR_MESSAGES[error.errorCode] || error.message;
+}
+
+/**
+ * Describes a Retry-After delay in words, e.g. "45 seconds" or "3 hours".
+ * @param {number} seconds - The delay in seconds.
+ * @returns {string} The delay, rounded to a readable unit.
+ */
+function formatWait(seconds) {
+    if (!seconds || seconds < 60) return `${seconds || 'a few'} seconds`;
+    if (seconds < 3600) return `${Math.ceil(seconds / 60)} minutes`;
+    return `${Math.ceil(seconds / 3600)} hours`;
+}
+
+/**
+ * Appends a short note (e.g. "Stopped." or an error) under a message.
+ * @param {HTMLElement} messageDiv - The message element.
+ * @param {string} className - CSS class for the note.
+ * @param {string} text - The note text.
+ */
+function appendNote(messageDiv, className, text) {
+    const note = document.createElement('div');
+    note.classList.add(className);
+    note.textContent = text;
+    messageDiv.appendChild(note);
+}
+
+/**
+ * Notes above a reply that the model did not see the oldest messages of the chat.
+ * @param {HTMLElement} messageDiv - The assistant message element.
+ * @param {number} count - How many messages were left out.
+ */
+function showTrimmedNote(messageDiv, count) {
+    const note = document.createElement('div');
+    note.classList.add('context-trimmed');
+    note.textContent = `${count} earlier message${count === 1 ? ' was' : 's were'} left out to fit the model's context window.`;
+    messageDiv.querySelector('strong').after(note);
+}
+
+/**
+ * Lists the course document excerpts a reply was based on, in a collapsible box under
+ * it. Numbers match the [1], [2], ... citations in the reply.
+ * @param {HTMLElement} messageDiv - The assistant message element.
+ * @param {Array<{number: number, documentName: string, chunkIndex: number, score: number, text: string}>} sources -
+ *        The excerpts, from the sources event.
+ */
+function showSources(messageDiv, sources) {
+    const details = document.createElement('details');
+    details.classList.add('message-sources');
+    const title = document.createElement('summary');
+    title.textContent = `Sources (${sources.length})`;
+    const list = document.createElement('ol');
+    for (const source of sources) {
+        const item = document.createElement('li');
+        item.value = source.number;
+        const name = document.createElement('strong');
+        name.textContent = source.documentName;
+        const excerpt = document.createElement('blockquote');
+        excerpt.textContent = source.text;
+        item.append(name, `, part ${source.chunkIndex + 1} (relevance ${source.score})`, excerpt);
+        list.appendChild(item);
+    }
+    details.append(title, list);
+    messageDiv.appendChild(details);
+}
+
+/**
+ * Enables or disables the chat controls while a reply is streaming.
+ * @param {boolean} busy - True while a reply is streaming.
+ */
+function setBusy(busy) {
+    sendBtn.disabled = busy;
+    userInput.disabled = busy;
+    stopBtn.classList.toggle('hidden', !busy);
+    for (const button of chatLog.querySelectorAll('.message-actions button, .retry-btn')) {
+        button.disabled = busy;
+    }
+    if (!busy) {
         userInput.focus();
     }
 }
 
+/**
+ * Redraws the chat log from the active branch of the conversation tree, adding the
+ * message actions (edit, regenerate, branch controls) to each message.
+ */
+function renderChatLog() {
+    chatLog.innerHTML = '';
+    const path = activePath(conversationTree);
+
+    const summary = summaryFor(conversationTree);
+    if (summary) {
+        showSummary(summary);
+    }
+
+    path.forEach((node, index) => {
+        // The system prompt is not visually displayed in the chat log in this demo.
+        if (node.role === 'system') return;
+
+        const sender = node.role === 'user' ? userName : (node.label || llmModelName);
+        const messageDiv = displayMessage(sender, node.content, node.role);
+        if (node.trimmedMessages) {
+            showTrimmedNote(messageDiv, node.trimmedMessages);
+        }
+        if (node.stopped) {
+            appendNote(messageDiv, 'stream-stopped', 'Stopped.');
+        }
+        if (node.sources) {
+            showSources(messageDiv, node.sources);
+        }
+        if (node.stats) {
+            appendNote(messageDiv, 'message-stats', formatStats(node.stats));
+        }
+        addMessageActions(messageDiv, node, index === path.length - 1);
+    });
+
+    renderConversationStats();
+}
+
+/**
+ * Formats a reply's statistics as one line, e.g.
+ * "412 tokens in · 158 out · 23.4 tokens/s · first token 0.8 s · load 1.2 s".
+ * Values the provider did not report are left out.
+ * @param {object} stats - The stats event data (see server/stats.js).
+ * @returns {string} The formatted line.
+ */
+function formatStats(stats) {
+    const seconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+    const parts = [];
+    if (stats.promptTokens !== undefined) parts.push(`${stats.promptTokens} tokens in`);
+    if (stats.completionTokens !== undefined) parts.push(`${stats.completionTokens} out`);
+    if (stats.tokensPerSecond !== undefined) parts.push(`${stats.tokensPerSecond} tokens/s`);
+    if (stats.timeToFirstTokenMs !== undefined) parts.push(`first token ${seconds(stats.timeToFirstTokenMs)}`);
+    if (stats.loadDurationMs) parts.push(`load ${seconds(stats.loadDurationMs)}`); // Zero when the model was already loaded
+    if (stats.totalDurationMs !== undefined) parts.push(`total ${seconds(stats.totalDurationMs)}`);
+    return parts.join(' · ');
+}
+
+/**
+ * Adds up the statistics of every reply in the conversation, on all branches (a
+ * regenerated reply cost tokens too), and shows the totals above the chat log.
+ */
+function renderConversationStats() {
+    const totals = { replies: 0, promptTokens: 0, completionTokens: 0, durationMs: 0 };
+    for (const node of Object.values(conversationTree.nodes)) {
+        if (!node.stats) continue;
+        totals.replies += 1;
+        totals.promptTokens += node.stats.promptTokens || 0;
+        totals.completionTokens += node.stats.completionTokens || 0;
+        totals.durationMs += node.stats.totalDurationMs || 0;
+    }
+
+    conversationStats.classList.toggle('hidden', totals.replies === 0);
+    conversationStats.textContent = `This conversation: ${totals.replies} replies · `
+        + `${totals.promptTokens + totals.completionTokens} tokens (${totals.promptTokens} in, ${totals.completionTokens} out) · `
+        + `${(totals.durationMs / 1000).toFixed(1)} s generating`;
+}
+
+/**
+ * Shows the conversation summary at the top of the chat log, collapsed, so the user
+ * can see what the model "remembers" of the turns it no longer receives in full.
+ * @param {{content: string, coveredMessages: number}} summary - The summary.
+ */
+function showSummary(summary) {
+    const details = document.createElement('details');
+    details.classList.add('conversation-summary');
+
+    const title = document.createElement('summary');
+    title.textContent = `What the model remembers (${summary.coveredMessages} earlier messages summarized)`;
+
+    const content = document.createElement('div');
+    content.classList.add('assistant-response');
+    renderMarkdown(content, summary.content);
+
+    details.append(title, content);
+    chatLog.appendChild(details);
+}
+
+/**
+ * Adds the action bar under a message: "< 1/3 >" branch controls when the message has
+ * alternatives, Edit for user messages, and Regenerate for the latest reply.
+ * @param {HTMLElement} messageDiv - The message element.
+ * @param {object} node - The message's tree node.
+ * @param {boolean} isLast - Whether this is the last message on the active branch.
+ */
+function addMessageActions(messageDiv, node, isLast) {
+    const actions = document.createElement('div');
+    actions.classList.add('message-actions');
+
+    const addButton = (text, title, onClick, disabled = false) => {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.title = title;
+        button.disabled = disabled || Boolean(activeRequest);
+        button.onclick = onClick;
+        actions.appendChild(button);
+    };
+
+    const { index, count } = siblingInfo(conversationTree, node.id);
+    if (count > 1) {
+        const switchBranch = (delta) => {
+            selectSibling(conversationTree, node.id, delta);
+            renderChatLog();
+            persistConversation().catch((error) => console.error('Could not save conversation:', error));
+        };
+        addButton('<', 'Previous version', () => switchBranch(-1), index === 0);
+        const position = document.createElement('span');
+        position.classList.add('branch-position');
+        position.textContent = `${index + 1}/${count}`;
+        actions.appendChild(position);
+        addButton('>', 'Next version', () => switchBranch(1), index === count - 1);
+    }
+
+    if (node.role === 'user') {
+        addButton('Edit', 'Edit and resend this message', () => startEditing(messageDiv, node));
+    } else if (isLast) {
+        addButton('Regenerate', 'Generate another reply', () => handleRegenerate(node.id));
+    }
+
+    if (actions.childElementCount > 0) {
+        messageDiv.appendChild(actions);
+    }
+}
+
+/**
+ * Replaces a user message with an inline editor. Saving resends the edited text as a
+ * new branch (see handleEditResend); cancelling restores the chat log.
+ * @param {HTMLElement} messageDiv - The message element.
+ * @param {object} node - The user message's tree node.
+ */
+function startEditing(messageDiv, node) {
+    const editor = document.createElement('div');
+    editor.classList.add('message-editor');
+
+    const textarea = document.createElement('textarea');
+    textarea.value = node.content;
+    textarea.rows = Math.min(8, node.content.split('\n').length + 1);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.textContent = 'Save & Send';
+    saveBtn.onclick = () => {
+        const newText = textarea.value.trim();
+        if (newText && !activeRequest) {
+            handleEditResend(node.id, newText);
+        }
+    };
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.classList.add('secondary-btn');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = renderChatLog;
+
+    editor.append(textarea, saveBtn, cancelBtn);
+    messageDiv.replaceChildren(messageDiv.querySelector('strong'), editor);
+    textarea.focus();
+}
+
+/**
+ * Captures the conversation shown in the chat view: its id, settings and message history.
+ * The message tree is shared, not copied, so a request can keep adding to the
+ * conversation it started in even if the user switches to another one meanwhile.
+ * @returns {object} The conversation state to pass to persistConversation.
+ */
+function currentConversationState() {
+    return {
+        id: currentConversationId,
+        userId: currentUser?.id || null, // Each signed-in user only sees their own conversations
+        userName,
+        settings: {
+            systemPrompt,
+            temperature: currentTemperature,
+            maxTokens: currentMaxTokens,
+            provider: selectedProvider,
+            model: selectedModel,
+        },
+        tree: conversationTree,
+    };
+}
+
+/**
+ * Saves a conversation (messages and settings) to IndexedDB and refreshes the
+ * sidebar. The title is generated from the first user message unless the user
+ * has renamed the conversation.
+ * @param {object} [state] - Conversation state; defaults to the one shown in the chat view.
+ */
+async function persistConversation(state = currentConversationState()) {
+    if (!state.id) return;
+
+    const existing = await getConversation(state.id);
+    await saveConversation({
+        ...state,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        title: existing?.customTitle ? existing.title : generateTitle(historyTo(state.tree)),
+        customTitle: existing?.customTitle || false,
+    });
+    await renderConversationList();
+}
+
+/**
+ * Rebuilds the sidebar list of saved conversations, most recent first.
+ * Each entry can be opened, renamed or deleted.
+ */
+async function renderConversationList() {
+    const conversations = await listConversations(currentUser?.id || null);
+    conversationList.replaceChildren();
+
+    for (const conversation of conversations) {
+        const item = document.createElement('li');
+        item.classList.toggle('active', conversation.id === currentConversationId);
+
+        const openBtn = document.createElement('button');
+        openBtn.classList.add('conversation-open');
+        openBtn.textContent = conversation.title;
+        openBtn.title = `Last updated ${new Date(conversation.updatedAt).toLocaleString()}`;
+        openBtn.onclick = () => openConversation(conversation.id);
+
+        const renameBtn = document.createElement('button');
+        renameBtn.classList.add('conversation-action');
+        renameBtn.textContent = '✎';
+        renameBtn.title = 'Rename';
+        renameBtn.onclick = async () => {
+            const title = prompt('Rename conversation:', conversation.title)?.trim();
+            if (title) {
+                await renameConversation(conversation.id, title);
+                await renderConversationList();
+            }
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.classList.add('conversation-action');
+        deleteBtn.textContent = '✕';
+        deleteBtn.title = 'Delete';
+        deleteBtn.onclick = async () => {
+            if (!confirm(`Delete "${conversation.title}"?`)) return;
+            await deleteConversation(conversation.id);
+            if (conversation.id === currentConversationId) {
+                showSettingsView();
+            }
+            await renderConversationList();
+        };
+
+        item.append(openBtn, renameBtn, deleteBtn);
+        conversationList.appendChild(item);
+    }
+}
+
+/**
+ * Shows the course documents (GET /documents) in the sidebar. Users can delete the
+ * documents they uploaded.
+ */
+async function loadDocuments() {
+    let documents = [];
+    try {
+        const response = await apiFetch('/documents');
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        documents = data.documents;
+    } catch (error) {
+        console.error('Error loading course documents:', error);
+        showDocumentStatus(`Could not load the course documents: ${error.message}`);
+    }
+
+    documentList.replaceChildren();
+    for (const doc of documents) {
+        const item = document.createElement('li');
+        const name = document.createElement('span');
+        name.classList.add('document-name');
+        name.textContent = doc.name;
+        name.title = `${doc.chunkCount} excerpts · uploaded ${new Date(doc.createdAt).toLocaleString()}`;
+        item.appendChild(name);
+
+        if (!doc.owner || doc.owner === currentUser?.id) {
+            const deleteBtn = document.createElement('button');
+            deleteBtn.classList.add('document-action');
+            deleteBtn.textContent = '✕';
+            deleteBtn.title = 'Remove from the course documents';
+            deleteBtn.onclick = () => handleDeleteDocument(doc);
+            item.appendChild(deleteBtn);
+        }
+        documentList.appendChild(item);
+    }
+}
+
+/**
+ * Shows a status or error line under the document list; an empty text hides it.
+ * @param {string} text - The text to show.
+ */
+function showDocumentStatus(text) {
+    documentStatus.textContent = text;
+    documentStatus.classList.toggle('hidden', !text);
+}
+
+/**
+ * Uploads the chosen files one by one (POST /documents). The server extracts, chunks
+ * and embeds each file, which can take a while for long PDFs.
+ */
+async function handleDocumentUpload() {
+    const files = [...documentUploadInput.files];
+    documentUploadInput.value = ''; // Allow choosing the same file again
+    documentUploadBtn.disabled = true;
+
+    const failures = [];
+    for (const file of files) {
+        showDocumentStatus(`Indexing ${file.name}…`);
+        try {
+            const response = await apiFetch(`/documents?name=${encodeURIComponent(file.name)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': file.type || 'application/octet-stream' },
+                body: file,
+            });
+            if (!response.ok) {
+                const data = await response.json().catch(() => null);
+                throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+            }
+        } catch (error) {
+            console.error(`Error uploading ${file.name}:`, error);
+            failures.push(`${file.name}: ${error.message}`);
+        }
+    }
+
+    documentUploadBtn.disabled = false;
+    showDocumentStatus(failures.join('\n'));
+    await loadDocuments();
+}
+
+/**
+ * Removes a course document (DELETE /documents/:id) after asking for confirmation.
+ * @param {{ id: string, name: string }} doc - The document.
+ */
+async function handleDeleteDocument(doc) {
+    if (!confirm(`Remove "${doc.name}" from the course documents?`)) return;
+    try {
+        const response = await apiFetch(`/documents/${doc.id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const data = await response.json().catch(() => null);
+            throw new Error(data?.error || `HTTP error! status: ${response.status}`);
+        }
+        showDocumentStatus('');
+    } catch (error) {
+        console.error('Error deleting document:', error);
+        showDocumentStatus(`Could not remove ${doc.name}: ${error.message}`);
+    }
+    await loadDocuments();
+}
+
+/**
+ * Reopens a saved conversation: restores its settings and message tree, and
+ * replays the active branch into the chat log.
+ * @param {string} id - The conversation id.
+ */
+async function openConversation(id) {
+    const conversation = await getConversation(id);
+    if (!conversation) return;
+
+    activeRequest?.abort(); // Stop any generation still running for the previous conversation
+
+    currentConversationId = conversation.id;
+    userName = conversation.userName || 'User';
+    ({
+        systemPrompt,
+        temperature: currentTemperature,
+        maxTokens: currentMaxTokens,
+        provider: selectedProvider,
+        model: selectedModel,
+    } = conversation.settings);
+    llmModelName = selectedModel || 'Assistant';
+    // Conversations saved before branching existed only have a flat message list
+    conversationTree = conversation.tree || treeFromMessages(conversation.messages || []);
+
+    renderChatLog();
+
+    showChatView();
+    await renderConversationList();
+}
+
+/**
+ * Switches to the chat view and attaches the chat event listeners.
+ */
+function showChatView() {
+    settingsView.style.display = 'none';
+    chatView.style.display = 'flex';
+
+    // Attach event listeners for chat interactions
+    // Using .onclick/.onkeydown to easily overwrite when a chat is started or reopened again
+    sendBtn.onclick = handleSendMessage;
+    userInput.onkeydown = (e) => {
+        // Send message on Enter key (but not Shift+Enter)
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault(); // Prevent newline in input box
+            handleSendMessage();
+        }
+    };
+    // Cancel the in-flight generation, keeping what has arrived so far
+    stopBtn.onclick = () => activeRequest?.abort();
+
+    userInput.focus(); // Set focus to the chat input field
+}
+
+/**
+ * Returns to the settings form to start a new conversation.
+ * Saved conversations stay available in the sidebar.
+ */
+function showSettingsView() {
+    activeRequest?.abort(); // Stop any generation still running
+    currentConversationId = null;
+    chatView.style.display = 'none';
+    loginView.style.display = 'none';
+    settingsView.style.display = 'block';
+    renderConversationList().catch((error) => console.error('Could not list conversations:', error));
+}
+
+/**
+ * Shows the sign-in form, used when the backend requires authentication.
+ * @param {object} methods - Sign-in methods offered by the backend ({ local, oidc }).
+ */
+function showLoginView(methods) {
+    activeRequest?.abort();
+    currentConversationId = null;
+    settingsView.style.display = 'none';
+    chatView.style.display = 'none';
+    loginView.style.display = 'block';
+
+    oidcLoginLink.classList.toggle('hidden', !methods.oidc);
+    oidcLoginLink.href = apiUrl('/auth/oidc/login');
+}
+
+/**
+ * Asks the backend who is signed in (GET /auth/me). A signed-in user's display name
+ * replaces the "Your Name" field; if the backend requires sign-in and nobody is
+ * signed in, the sign-in form is shown.
+ * @returns {Promise<boolean>} Whether the chat can be used.
+ */
+async function loadCurrentUser() {
+    try {
+        const response = await apiFetch('/auth/me');
+        const data = await response.json();
+        currentUser = data.user;
+        csrfToken = data.csrfToken || '';
+
+        signOutBtn.classList.toggle('hidden', !currentUser);
+        userNameInput.readOnly = Boolean(currentUser);
+        if (currentUser) {
+            userNameInput.value = currentUser.displayName;
+            signOutBtn.textContent = `Sign Out (${currentUser.username})`;
+        }
+        if (data.mode === 'required' && !currentUser) {
+            showLoginView(data.methods);
+            return false;
+        }
+    } catch (error) {
+        // An older backend without /auth; carry on without sign-in
+        console.error('Could not check the signed-in user:', error);
+    }
+    return true;
+}
+
 // --- Event Handlers ---
 
+/**
+ * Handles the sign-in form: checks the credentials with POST /auth/login, which sets
+ * the session cookie, then continues to the settings form.
+ * @param {Event} event - The form submission event.
+ */
+async function handleLogin(event) {
+    event.preventDefault();
+    loginError.classList.add('hidden');
+
+    try {
+        const response = await apiFetch('/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: document.getElementById('login-username').value.trim(),
+                password: document.getElementById('login-password').value,
+            }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        loginError.textContent = error.message;
+        loginError.classList.remove('hidden');
+        return;
+    }
+
+    loginForm.reset();
+    await startApp();
+}
+
+/**
+ * Signs out (POST /auth/logout clears the session cookie) and starts over.
+ */
+async function handleSignOut() {
+    await apiFetch('/auth/logout', { method: 'POST' }).catch((error) => console.error('Could not sign out:', error));
+    currentUser = null;
+    await startApp();
+}
+
+/**
+ * Loads the signed-in user, then the settings form with its provider list and the
+ * user's saved conversations. Stops at the sign-in form when sign-in is required.
+ */
+async function startApp() {
+    if (!(await loadCurrentUser())) {
+        conversationList.replaceChildren(); // Another user's chats must not show on the sign-in page
+        documentList.replaceChildren();
+        return;
+    }
+    showSettingsView();
+    loadProviders(); // Populate the provider and model dropdowns in the background
+    loadDocuments();
+}
+
 /**
  * Handles the submission of the initial settings form.
- * Reads settings, stores them, clears history, adds system prompt to history,
+ * Reads settings, stores them, clears history, adds system prompt to the message tree,
  * hides the settings view, shows the chat view, and attaches chat event listeners.
  * @param {Event} event - The form submission event.
  */
@@ -183,10 +1130,13 @@ function handleStartChat(event) {
     event.preventDefault(); // Prevent default form submission (page reload)
 
     // Read and store settings from the form
-    userName = userNameInput.value.trim() || 'User';
+    userName = currentUser?.displayName || userNameInput.value.trim() || 'User';
     systemPrompt = systemPromptInput.value.trim();
     currentTemperature = parseFloat(temperatureInput.value);
     currentMaxTokens = parseInt(maxTokensInput.value, 10);
+    selectedProvider = providerSelect.value;
+    selectedModel = modelSelect.value;
+    llmModelName = selectedModel || 'Assistant';
 
     // Basic input validation
     if (isNaN(currentTemperature) || isNaN(currentMaxTokens)) {
@@ -196,46 +1146,44 @@ function handleStartChat(event) {
 
     // Prepare for new chat session
     chatLog.innerHTML = ''; // Clear any previous chat messages
-    messageHistory = []; // Reset the local message history
+    conversationTree = createTree(); // Reset the local message tree
 
-    // Add the system prompt to the message history if provided
+    // Add the system prompt to the message tree if provided
     if (systemPrompt) {
-        messageHistory.push({ role: 'system', content: systemPrompt });
+        addMessage(conversationTree, lastNodeId(conversationTree), { role: 'system', content: systemPrompt });
         // Note: The system prompt is not visually displayed in the chat log in this demo.
     }
 
-    // Switch UI views
-    settingsView.style.display = 'none';
-    chatView.style.display = 'flex';
-
-    // Attach event listeners for chat interactions
-    // Using .onclick/.onkeydown to easily overwrite if handleStartChat were called again (e.g., after reset)
-    sendBtn.onclick = handleSendMessage;
-    userInput.onkeydown = (e) => {
-        // Send message on Enter key (but not Shift+Enter)
-        if (e.key === 'Enter' && !e.shiftKey) {
-            e.preventDefault(); // Prevent newline in input box
-            handleSendMessage();
-        }
-    };
-    // Reload the page for a simple reset
-    resetBtn.onclick = () => location.reload();
+    // Start a new saved conversation; it is written to IndexedDB after the first turn
+    currentConversationId = crypto.randomUUID();
 
-    userInput.focus(); // Set focus to the chat input field
+    // Switch UI views and attach the chat event listeners
+    showChatView();
 }
 
 // --- Initialization ---
 
 // Setup main event listener once the DOM is ready.
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Ensure the settings form exists before attaching listener
     if (settingsForm) {
         settingsForm.addEventListener('submit', handleStartChat);
+        providerSelect.addEventListener('change', populateModels);
     } else {
         console.error('Settings form not found!');
     }
+    // "Start Again" and "New Chat" both return to the settings form; past chats stay in the sidebar
+    resetBtn.onclick = showSettingsView;
+    newChatBtn.onclick = showSettingsView;
+    loginForm.addEventListener('submit', handleLogin);
+    signOutBtn.onclick = handleSignOut;
+    documentUploadBtn.onclick = () => documentUploadInput.click();
+    documentUploadInput.addEventListener('change', handleDocumentUpload);
     // Ensure the chat view is initially hidden when JS loads
      if (chatView) {
         chatView.style.display = 'none';
     }
+    // Find the API, then check who is signed in before showing the settings form and saved conversations
+    await loadClientConfig();
+    startApp();
 });
\ No newline at end of file
@@ -0,0 +1,136 @@
+/**
+ * Branching message history for the Toolkit Chat Demo Application.
+ *
+ * Instead of a flat array, messages are kept as a tree so that regenerating a reply or
+ * editing an earlier prompt creates an alternative branch rather than overwriting history:
+ *
+ *   root ─ system ─ user "Hi" ─┬─ assistant "Hello!"        (1/2)
+ *                              └─ assistant "Hey there."    (2/2, selected)
+ *
+ * Every node remembers which of its children is selected; following the selected
+ * children from the root gives the active branch, which is what is shown in the chat
+ * log and sent to the backend. The tree is plain JSON so it can be saved to IndexedDB.
+ *
+ * Node shape: { id, parentId, role, content, children: [ids], selected: index }, plus
+ * optional display fields such as `label` (model that answered) and `stopped`. A reply
+ * can also carry the conversation `summary` the server returned with it (see summaryFor).
+ */
+
+const ROOT_ID = 'root';
+
+/**
+ * Creates an empty tree.
+ * @returns {{ nodes: Record<string, object> }} The tree.
+ */
+export function createTree() {
+    return { nodes: { [ROOT_ID]: { id: ROOT_ID, parentId: null, role: 'root', content: '', children: [], selected: 0 } } };
+}
+
+/**
+ * Builds a single-branch tree from a flat message list (e.g. a conversation saved
+ * before branching existed).
+ * @param {Array<{role: string, content: string}>} messages - The messages, oldest first.
+ * @returns {{ nodes: Record<string, object> }} The tree.
+ */
+export function treeFromMessages(messages) {
+    const tree = createTree();
+    let parentId = ROOT_ID;
+    for (const message of messages) {
+        parentId = addMessage(tree, parentId, message);
+    }
+    return tree;
+}
+
+/**
+ * Adds a message as the newest child of a node and selects it.
+ * @param {object} tree - The tree.
+ * @param {string} parentId - The node to add the message under.
+ * @param {{role: string, content: string}} message - The message to add; extra fields
+ *        (e.g. `label`, `stopped`) are kept on the node.
+ * @returns {string} The new node's id.
+ */
+export function addMessage(tree, parentId, message) {
+    const parent = tree.nodes[parentId];
+    const id = crypto.randomUUID();
+    tree.nodes[id] = { ...message, id, parentId, children: [], selected: 0 };
+    parent.children.push(id);
+    parent.selected = parent.children.length - 1;
+    return id;
+}
+
+/**
+ * Follows the selected children from the root.
+ * @param {object} tree - The tree.
+ * @returns {object[]} The nodes on the active branch, oldest first (without the root).
+ */
+export function activePath(tree) {
+    const path = [];
+    let node = tree.nodes[ROOT_ID];
+    while (node.children.length > 0) {
+        node = tree.nodes[node.children[node.selected]];
+        path.push(node);
+    }
+    return path;
+}
+
+/**
+ * Returns the messages from the root down to (and including) a node.
+ * @param {object} tree - The tree.
+ * @param {string} [nodeId] - The last node; defaults to the end of the active branch.
+ * @returns {Array<{role: string, content: string}>} The messages to send to the backend.
+ */
+export function historyTo(tree, nodeId = lastNodeId(tree)) {
+    const messages = [];
+    for (let node = tree.nodes[nodeId]; node && node.id !== ROOT_ID; node = tree.nodes[node.parentId]) {
+        messages.unshift({ role: node.role, content: node.content });
+    }
+    return messages;
+}
+
+/**
+ * Finds the latest conversation summary on the way from the root to a node. Summaries
+ * are stored on the reply they arrived with, so each branch keeps its own.
+ * @param {object} tree - The tree.
+ * @param {string} [nodeId] - The last node; defaults to the end of the active branch.
+ * @returns {{content: string, coveredMessages: number} | undefined} The summary, if any.
+ */
+export function summaryFor(tree, nodeId = lastNodeId(tree)) {
+    for (let node = tree.nodes[nodeId]; node; node = tree.nodes[node.parentId]) {
+        if (node.summary) return node.summary;
+    }
+    return undefined;
+}
+
+/**
+ * @param {object} tree - The tree.
+ * @returns {string} The id of the last node on the active branch (the root if empty).
+ */
+export function lastNodeId(tree) {
+    const path = activePath(tree);
+    return path.length > 0 ? path[path.length - 1].id : ROOT_ID;
+}
+
+/**
+ * Describes a node's position among its siblings, for "< 1/3 >" controls.
+ * @param {object} tree - The tree.
+ * @param {string} nodeId - The node.
+ * @returns {{ index: number, count: number }} Zero-based index and number of siblings.
+ */
+export function siblingInfo(tree, nodeId) {
+    const parent = tree.nodes[tree.nodes[nodeId].parentId];
+    return { index: parent.children.indexOf(nodeId), count: parent.children.length };
+}
+
+/**
+ * Switches the active branch to the previous or next sibling of a node.
+ * @param {object} tree - The tree.
+ * @param {string} nodeId - The node whose sibling should become active.
+ * @param {number} delta - -1 for the previous sibling, +1 for the next.
+ */
+export function selectSibling(tree, nodeId, delta) {
+    const parent = tree.nodes[tree.nodes[nodeId].parentId];
+    const index = parent.children.indexOf(nodeId) + delta;
+    if (index >= 0 && index < parent.children.length) {
+        parent.selected = index;
+    }
+}
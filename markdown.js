@@ -0,0 +1,153 @@
+/**
+ * Markdown rendering for assistant messages in the Toolkit Chat Demo Application.
+ *
+ * Assistant replies (lists, tables, fenced code, LaTeX math) are rendered as HTML:
+ *  - marked parses the Markdown (GitHub-flavoured, with line breaks kept).
+ *  - highlight.js highlights fenced code blocks; each block gets a Copy button.
+ *  - KaTeX renders $inline$ and $$display$$ math (\( \) and \[ \] are accepted too).
+ *    A $ only opens inline math when a non-space character follows it, and only closes
+ *    it after a non-space character and when no digit follows, so "costs $5 and $10"
+ *    keeps its dollar signs.
+ *  - DOMPurify sanitizes the resulting HTML, since model output is untrusted.
+ *
+ * The libraries are loaded from a CDN through the import map in index.html, so the
+ * frontend still needs no build step.
+ *
+ * While a reply is streaming, the text seen so far is re-rendered on each animation
+ * frame. Unfinished code fences and display-math blocks are closed temporarily so a
+ * half-received code block shows as code instead of as raw backticks.
+ */
+
+import { Marked } from 'marked';
+import { markedHighlight } from 'marked-highlight';
+import markedKatex from 'marked-katex-extension';
+import hljs from 'highlight.js';
+import DOMPurify from 'dompurify';
+
+const marked = new Marked(
+    markedHighlight({
+        langPrefix: 'hljs language-',
+        highlight(code, lang) {
+            const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+            return hljs.highlight(code, { language }).value;
+        },
+    }),
+    markedKatex({ throwOnError: false }),
+    { gfm: true, breaks: true }
+);
+
+// Code (a fenced block, unclosed while streaming, or an inline code span), math in
+// \[ \] or \( \), an escaped \$, math in $$ $$ or $ $, or any other single $. Code comes
+// first, so delimiters inside code are never matched as math.
+const CODE_OR_MATH = /^[ \t]*(`{3,}|~{3,})[\s\S]*?(?:^[ \t]*\1|(?![\s\S]))|(`+)[\s\S]*?\2|\\\[([\s\S]+?)\\\]|\\\(([\s\S]+?)\\\)|\\\$|\$\$[\s\S]+?\$\$|\$(?=[^\s$])(?:\\.|[^\\$\n])*?[^\s\\$]\$(?!\d)|(?<!\$)\$(?!\$)/gm;
+
+/**
+ * Rewrites LaTeX-style \( \) and \[ \] delimiters, which models often use, to the
+ * $ and $$ delimiters understood by the KaTeX extension. A single $ that cannot open
+ * or close inline math (a price such as $5) is escaped, so it is not paired with a $
+ * further on. Code blocks and code spans are left alone, so LaTeX or regex samples in
+ * code keep their backslashes.
+ * @param {string} text - The Markdown source.
+ * @returns {string} The source with normalized math delimiters.
+ */
+function normalizeMathDelimiters(text) {
+    return text.replace(CODE_OR_MATH, (match, fence, ticks, displayMath, inlineMath) => {
+        if (displayMath !== undefined) return `$$${displayMath}$$`;
+        if (inlineMath !== undefined) return `$${inlineMath}$`;
+        if (match === '$') return '\\$'; // A currency sign, not math
+        return match; // Code, and math already in $ delimiters, are kept as they are
+    });
+}
+
+/**
+ * Closes constructs that are still open in a partially streamed reply, so they render
+ * as a code block or math block instead of literal backticks and dollar signs.
+ * @param {string} text - The Markdown received so far.
+ * @returns {string} The Markdown with any open code fence or $$ block closed.
+ */
+function closeOpenBlocks(text) {
+    let closed = text;
+    const fences = closed.match(/^[ \t]*(```|~~~)/gm) || [];
+    if (fences.length % 2 === 1) {
+        closed += `\n${fences[fences.length - 1].trim()}`;
+    }
+    const displayMath = closed.match(/\$\$/g) || [];
+    if (displayMath.length % 2 === 1) {
+        closed += '$$';
+    }
+    return closed;
+}
+
+/**
+ * Adds a Copy button to every code block inside an element.
+ * @param {HTMLElement} element - The rendered message content.
+ */
+function addCopyButtons(element) {
+    for (const pre of element.querySelectorAll('pre')) {
+        const code = pre.querySelector('code');
+        if (!code) continue;
+
+        const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.classList.add('copy-code-btn');
+        copyBtn.textContent = 'Copy';
+        copyBtn.onclick = async () => {
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                copyBtn.textContent = 'Copied!';
+            } catch (error) {
+                console.error('Could not copy code block:', error);
+                copyBtn.textContent = 'Copy failed';
+            }
+            setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+        };
+        pre.appendChild(copyBtn);
+    }
+}
+
+/**
+ * Renders Markdown into an element as sanitized HTML.
+ * @param {HTMLElement} element - The element to fill (its contents are replaced).
+ * @param {string} text - The Markdown source.
+ * @param {object} [options]
+ * @param {boolean} [options.partial=false] - True while the text is still streaming in.
+ */
+export function renderMarkdown(element, text, { partial = false } = {}) {
+    let source = normalizeMathDelimiters(text);
+    if (partial) {
+        source = closeOpenBlocks(source);
+    }
+    element.innerHTML = DOMPurify.sanitize(marked.parse(source));
+    addCopyButtons(element);
+}
+
+/**
+ * Creates a renderer for a streaming reply. `update` can be called for every chunk;
+ * rendering is batched to at most once per animation frame.
+ * @param {HTMLElement} element - The element to render into.
+ * @returns {{ update: (text: string) => void, finish: (text: string) => void }}
+ *          `update` renders partial text; `finish` renders the complete reply immediately.
+ */
+export function createStreamingRenderer(element) {
+    let pendingText = null;
+    let frameRequested = false;
+
+    return {
+        update(text) {
+            pendingText = text;
+            if (frameRequested) return;
+            frameRequested = true;
+            requestAnimationFrame(() => {
+                frameRequested = false;
+                if (pendingText !== null) {
+                    renderMarkdown(element, pendingText, { partial: true });
+                    pendingText = null;
+                }
+            });
+        },
+        finish(text) {
+            pendingText = null; // Drop any frame still pending with older text
+            renderMarkdown(element, text);
+        },
+    };
+}
@@ -18,111 +18,320 @@
 
 const express = require('express');
 const cors = require('cors');
-// Import LLMModule from the LLM toolkit package
-const { LLMModule } = require('@ubc-genai-toolkit/llm');
-// Import necessary components (Logger, Error classes) from the Core toolkit package
-const { ConsoleLogger, ToolkitError } = require('@ubc-genai-toolkit/core');
+const path = require('path');
+const { ToolkitError } = require('@ubc-genai-toolkit/core');
+// Registry of named LLMModule instances, one per configured provider
+const { ProviderRegistry } = require('./server/providers');
+// Streams one LLM turn as typed Server-Sent Events, with cancellation and error handling
+const { streamChat, statusCodeFor } = require('./server/chat-stream');
+const { abortOnDisconnect } = require('./server/abort');
+// Configuration loading and validation (defaults, optional config file, env vars)
+const { loadConfig } = require('./server/config');
+// Server-side conversation storage and the /conversations routes
+const { createConversationStore } = require('./server/conversation-store');
+const { createConversationRouter } = require('./server/conversations');
+// Trims long histories to fit the model's context window
+const { ContextWindow } = require('./server/context-window');
+// Folds older turns of long conversations into a running summary
+const { ConversationSummarizer } = require('./server/summarizer');
+// Per-user usage metering and quotas (HTTP 429 when a limit is reached)
+const { UsageMeter } = require('./server/metering');
+// Schema validation of request bodies
+const { validateChatBody, validateEmbedBody } = require('./server/validation');
+// OpenAI-compatible /v1 routes for OpenAI clients
+const { createOpenAiRouter } = require('./server/openai-compat');
+// Course documents: vector index, retrieval and the /documents routes
+const { JsonFileVectorIndex } = require('./server/vector-index');
+const { DocumentRetriever } = require('./server/rag');
+const { createDocumentRouter } = require('./server/documents');
+// Authentication (local accounts, session cookies, API tokens, OIDC)
+const { createAuth } = require('./server/auth');
+const { JsonFileUserStore } = require('./server/user-store');
+// Serves index.html, app.js, ... from the same origin as the API
+const { createFrontendRouter } = require('./server/static');
 
 // --- Configuration ---
-// Static configuration for the LLM module.
-// In a real application, this might come from environment variables or a config file.
-// This was previously in a separate config.js, but moved here for simplicity as
-// config.js used ES Module exports, complicating the `require` setup.
-const llmConfig = {
-    provider: 'ollama',
-    endpoint: 'http://localhost:11434', // Ensure your Ollama server is running here
-    defaultModel: 'llama3.1', // Ensure this model is available via `ollama list`
-};
+// Settings come from server/config.js, which merges built-in defaults, an optional
+// JSON/YAML config file and environment variables (see README "Configuration").
+let config;
+try {
+    config = loadConfig();
+} catch (error) {
+    // Invalid configuration is a deployment problem; explain it clearly and stop.
+    console.error(`FATAL: ${error.name}: ${error.message}`);
+    process.exit(1);
+}
 
 // --- Express App Setup ---
 const app = express();
-const port = 3001; // Use a distinct port for the backend API (frontend served separately)
+const port = config.port;
+
+// --- Base Path ---
+// All routes are defined on one router, mounted at config.basePath (e.g. '/chat-demo'),
+// so the whole app can be served under a path prefix behind a reverse proxy.
+const router = express.Router();
+if (config.trustProxy !== false) {
+    // Behind a proxy, take the client's protocol, host and IP from X-Forwarded-* headers
+    app.set('trust proxy', config.trustProxy);
+}
 
 // --- Middleware ---
-// Enable Cross-Origin Resource Sharing (CORS) to allow requests from the frontend
-// origin (e.g., http://localhost:3000 or the port assigned by `npx serve`)
-app.use(cors());
+// Cross-Origin Resource Sharing (CORS) is off by default: the server serves the
+// frontend itself, so the browser calls the API from the same origin. A frontend
+// hosted elsewhere must be listed in corsOrigins; those origins may send the session
+// cookie (credentials). '*' allows any origin, but without credentials.
+if (config.corsOrigins.includes('*')) {
+    app.use(cors());
+} else if (config.corsOrigins.length > 0) {
+    app.use(cors({ origin: config.corsOrigins, credentials: true }));
+}
 // Enable parsing of JSON request bodies sent from the frontend
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // Room for long histories; requestLimits bounds them in detail
+
+// --- Authentication ---
+// Every request is checked for an API token or a session cookie, which sets req.user.
+// In 'required' mode the chat routes answer 401 without one; see server/auth.js.
+const auth = createAuth(config.auth, {
+    users: new JsonFileUserStore(path.resolve(config.auth.usersFile)),
+    allowedOrigins: config.corsOrigins,
+    basePath: config.basePath,
+});
+router.use(auth.identify);
+// State-changing requests must come from an allowed origin and, with a session cookie,
+// carry the CSRF token (see server/csrf.js)
+router.use(auth.csrf);
+router.use('/auth', auth.router);
+console.log(`Authentication mode: ${config.auth.mode}${config.auth.oidc ? ' (OIDC sign-in enabled)' : ''}`);
 
 // --- LLM Initialization ---
-let llmModule;
+let providers;
 try {
-    // Combine the static config with a logger instance required by the toolkit modules
-    const configWithLogger = {
-        ...llmConfig,
-        logger: new ConsoleLogger('ToolkitChatDemo-Backend'), // Use the Core ConsoleLogger
-        debug: false, // Set to true for more verbose toolkit logging
-    };
-    // Instantiate the main LLMModule from the toolkit
-    llmModule = new LLMModule(configWithLogger);
-    console.log(`LLM Module Initialized. Provider: ${llmModule.getProviderName()}`);
+    // Instantiate one toolkit LLMModule per configured provider
+    providers = new ProviderRegistry(config.providers, config.defaultProvider, {
+        debug: config.debug, // Set DEBUG=true for more verbose toolkit logging
+        retry: config.retry, // Retries and circuit breaker for failed LLM calls
+    });
+    for (const name of providers.names()) {
+        console.log(`LLM Module Initialized. Name: ${name}, Provider: ${providers.get(name).getProviderName()}`);
+    }
 } catch (error) {
     // If the toolkit fails to initialize (e.g., bad config), log fatally and exit.
     console.error('FATAL: Failed to initialize LLMModule:', error);
     process.exit(1);
 }
 
-// --- API Endpoint (/chat) ---
-// Handles POST requests from the frontend to conduct a chat turn.
-app.post('/chat', async (req, res) => {
-    // Extract message history and LLM options from the request body
-    const { messages, options } = req.body;
+// --- Context Window ---
+// Histories longer than the model's context window are trimmed (oldest turns first)
+// before they are sent; see server/context-window.js.
+const contextWindow = new ContextWindow(config.contextWindow);
+// Before trimming, older turns are folded into a running summary; see server/summarizer.js.
+const summarizer = new ConversationSummarizer(config.summarization);
+
+// --- Usage Metering ---
+// Chat routes count requests, tokens and concurrent streams per user, and refuse
+// requests over the configured quotas with 429 + Retry-After; see server/metering.js.
+const meter = new UsageMeter(config.quotas);
 
-    // Basic validation of the incoming request data
-    if (!messages || !Array.isArray(messages)) {
-        return res.status(400).json({ error: 'Invalid request body: messages array is required.' });
+// --- Course Documents (RAG) ---
+// Uploaded documents are chunked, embedded and kept in an on-disk vector index; each
+// chat turn is answered with the most relevant excerpts. See server/rag.js.
+const documentIndex = new JsonFileVectorIndex(path.resolve(config.rag.directory));
+const retriever = new DocumentRetriever({ providers, index: documentIndex }, config.rag);
+
+/**
+ * Lists a provider's models, turning a failure into an `error` field instead of rejecting.
+ * @param {string} name - The provider name.
+ * @returns {Promise<object>} The provider description with `models` or `error`.
+ */
+async function describeWithModels(name) {
+    const description = providers.describe(name);
+    try {
+        return { ...description, models: await providers.get(name).getAvailableModels() };
+    } catch (error) {
+        console.error(`Error fetching models for provider '${name}':`, error);
+        return { ...description, models: [], error: `Could not list models: ${error.message}` };
     }
+}
 
-    console.log(`Received /chat request. Messages: ${messages.length}, Options:`, options);
+// --- API Endpoint (/providers) ---
+// Lists every configured provider with its models, so the frontend can offer a choice.
+// A provider that is down is still listed, with an `error` instead of models.
+router.get('/providers', auth.requireUser, async (req, res) => {
+    const list = await Promise.all(providers.names().map(describeWithModels));
+    res.json({ defaultProvider: providers.defaultProvider, providers: list });
+});
+
+// --- API Endpoint (/models) ---
+// Lists the models one provider offers (?provider=<name>, default provider when omitted).
+router.get('/models', auth.requireUser, async (req, res) => {
+    const name = req.query.provider || providers.defaultProvider;
+    if (!providers.has(name)) {
+        return res.status(400).json({ error: `Unknown provider '${name}'.` });
+    }
 
     try {
-        // Set necessary HTTP headers for Server-Sent Events (SSE) or chunked streaming
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8'); // Indicate plain text stream
-        res.setHeader('Cache-Control', 'no-cache'); // Prevent caching of the stream
-        res.setHeader('Connection', 'keep-alive'); // Keep the connection open for streaming
+        const models = await providers.get(name).getAvailableModels();
+        const { provider, defaultModel } = providers.describe(name);
+        res.json({ name, provider, defaultModel, models });
+    } catch (error) {
+        console.error('Error fetching available models:', error);
+        res.status(statusCodeFor(error)).json({ error: `Could not list models: ${error.message}` });
+    }
+});
 
-        // Call the toolkit's streamConversation method
-        await llmModule.streamConversation(
-            messages, // Pass the conversation history received from the frontend
-            (chunk) => {
-                // This callback function is executed by the LLMModule for each chunk of text received from the LLM.
-                // We write each chunk directly to the HTTP response stream, sending it to the frontend.
-                res.write(chunk);
-            },
-            options // Pass through options like temperature, maxTokens received from frontend
-        );
-
-        // Once the streamConversation method completes, signal the end of the HTTP response stream.
-        res.end();
+/**
+ * Refuses a request whose body names a provider that is not configured, before the quota
+ * is checked, so a typo in `provider` does not use up one of the user's requests.
+ * @type {import('express').RequestHandler}
+ */
+function requireKnownProvider(req, res, next) {
+    const { provider } = req.body;
+    if (provider !== undefined && !providers.has(provider)) {
+        return res.status(400).json({ error: `Unknown provider '${provider}'.` });
+    }
+    next();
+}
 
+// --- API Endpoint (/embed) ---
+// Embeds a batch of texts with LLMModule.embed (e.g. nomic-embed-text on Ollama).
+// Body: { texts, provider?, model?, truncate? }. Providers without embeddings (Anthropic)
+// throw a 501 APIError, which becomes a 501 JSON response.
+router.post('/embed', auth.requireUser, validateEmbedBody(config.requestLimits), requireKnownProvider, meter.middleware(), async (req, res) => {
+    const { texts, provider, model, truncate = false } = req.body;
+    const name = provider || providers.defaultProvider;
+    const { maxEmbedChars } = config.requestLimits;
+
+    // With `truncate`, over-long texts are cut here, and the provider is asked to cut
+    // anything still too long for the model's context (Ollama) instead of failing
+    const input = texts.map((text) => text.slice(0, maxEmbedChars));
+    const truncatedTexts = texts.filter((text) => text.length > maxEmbedChars).length;
+
+    console.log(`Received /embed request. User: ${req.user?.username || 'anonymous'}, Provider: ${name}, Texts: ${texts.length} (${truncatedTexts} truncated), Model: ${model || 'default'}`);
+
+    try {
+        const response = await providers.get(name).embed(input, {
+            ...(model && { model }),
+            ...(truncate && { truncate: true }),
+        });
+        meter.record(res.locals.meterUserId, response.usage);
+        res.json({
+            provider: name,
+            model: response.model,
+            dimensions: response.embeddings[0]?.length || 0,
+            embeddings: response.embeddings,
+            truncatedTexts,
+            usage: response.usage,
+            metadata: response.metadata || {},
+        });
     } catch (error) {
-        // Handle errors that occur during the streaming process
-        console.error('Error during LLM streamConversation:', error);
-
-        // Check if headers have already been sent. If so, we can't send a JSON error response.
-        if (!res.headersSent) {
-            let errorMsg = 'An error occurred while processing the chat stream.';
-            let statusCode = 500;
-            // If the error is a specific ToolkitError, use its message and code
-            if (error instanceof ToolkitError) {
-                errorMsg = `LLM Error: ${error.message}`;
-                // Ensure the error code is a valid HTTP status code range
-                statusCode = error.code >= 400 && error.code < 600 ? error.code : 500;
-            }
-            // Send a JSON error response back to the frontend
-             res.status(statusCode).json({ error: errorMsg });
-        } else {
-            // If headers were already sent (meaning some chunks were likely written),
-            // we can only abruptly end the connection.
-            console.error('Headers already sent, ending stream abruptly due to error.');
-            res.end(); // End the stream without a specific error message body
+        console.error('Error during LLM embed:', error);
+        const message = error instanceof ToolkitError ? error.message : 'An error occurred while generating embeddings.';
+        res.status(statusCodeFor(error)).json({ error: message });
+    }
+});
+
+// --- API Endpoint (/chat) ---
+// Handles POST requests from the frontend to conduct a chat turn.
+// The body is checked against a schema first (see server/validation.js), so invalid
+// requests get a 400 listing every problem and do not count against the user's quota.
+// An unknown provider is refused before the quota is checked too.
+router.post('/chat', auth.requireUser, validateChatBody(config.requestLimits), requireKnownProvider, meter.middleware(), async (req, res) => {
+    // Extract message history, LLM options, the chosen provider and the conversation
+    // summary returned by an earlier turn (if any) from the request body
+    const { messages, options, provider, summary } = req.body;
+    const name = provider || providers.defaultProvider;
+    const llmModule = providers.get(name);
+
+    // Stops the summary call and the reply if the browser goes away
+    const abortController = abortOnDisconnect(res);
+
+    // Look up course document excerpts for the latest question, send the running summary
+    // instead of the older turns (refreshing it when due), then leave out the oldest
+    // turns if the history still does not fit the context window
+    let sources, prepared, context;
+    try {
+        sources = await retriever.retrieve(messages);
+        prepared = await summarizer.prepare(llmModule, messages, summary, options, { signal: abortController.signal });
+        // A refreshed summary cost tokens too
+        if (prepared.usage) {
+            meter.record(res.locals.meterUserId, prepared.usage, { request: false });
         }
+        context = contextWindow.fit(name, retriever.withSources(prepared.messages, sources), options);
+    } catch (error) {
+        console.error('Error preparing the /chat turn:', error);
+        const message = error instanceof ToolkitError ? error.message : 'An error occurred while preparing the chat turn.';
+        return res.status(statusCodeFor(error)).json({ error: message });
     }
+
+    console.log(`Received /chat request. User: ${req.user?.username || 'anonymous'}, Provider: ${name}, Messages: ${messages.length} (${context.trimmedMessages} trimmed), Sources: ${sources.length}, Options:`, options);
+
+    const result = await streamChat(res, {
+        provider: name,
+        context,
+        summary: prepared.refreshed ? prepared.summary : undefined,
+        sources,
+        abortController,
+        estimateUsage: (reply) => contextWindow.estimateUsage(name, context.messages, reply),
+        // Call the toolkit's streamConversation method
+        run: (callback, signal) => llmModule.streamConversation(
+            context.messages, // Pass the conversation history received from the frontend, trimmed to fit
+            callback, // Forwards each chunk to the frontend as a `token` event
+            // Pass through options like temperature, maxTokens received from frontend,
+            // plus the abort signal for providers that can cancel before the first chunk
+            { ...options, signal }
+        ),
+    });
+    // Improve later estimates with the prompt token count the provider reported
+    contextWindow.calibrate(name, context.messages, result.response?.usage);
+    // Count the tokens against the user's daily quota, estimated if the client cancelled
+    meter.record(res.locals.meterUserId, result.usage);
+});
+
+// --- API Endpoints (/conversations) ---
+// Server-side conversations: the history is kept (with timestamps) on the server, so
+// chats can be audited and resumed. See server/conversations.js for the routes.
+const conversationStore = createConversationStore(config.conversationStore);
+router.use('/conversations', auth.requireUser, createConversationRouter({
+    providers,
+    store: conversationStore,
+    contextWindow,
+    summarizer,
+    meter,
+    requestLimits: config.requestLimits,
+    retriever,
+}));
+
+// --- API Endpoints (/documents) ---
+// Upload, list, replace and delete the course documents used for retrieval.
+// See server/documents.js for the routes.
+router.use('/documents', auth.requireUser, createDocumentRouter({ index: documentIndex, retriever, maxUploadMB: config.rag.maxUploadMB }));
+
+// --- API Endpoints (/v1) ---
+// OpenAI-compatible chat completions and model list, so OpenAI clients (notebooks,
+// editor plugins, scripts) can use the configured providers. See server/openai-compat.js.
+router.use('/v1', auth.requireUser, createOpenAiRouter({ providers, contextWindow, meter, requestLimits: config.requestLimits }));
+
+// --- Frontend ---
+// Serve the chat UI from the same origin as the API (see server/static.js)
+if (config.serveFrontend) {
+    router.use(createFrontendRouter(__dirname));
+}
+
+// --- API Endpoint (/config.json) ---
+// Tells the frontend where the API is. '.' means "relative to the page", which keeps
+// working under any path prefix. A frontend hosted elsewhere gets its own config.json
+// pointing at this server instead (see README "Base path and API URL").
+router.get('/config.json', (req, res) => {
+    res.json({ apiBaseUrl: '.' });
 });
 
+app.use(config.basePath || '/', router);
+
 // --- Start Server ---
 // Start the Express server and listen for incoming connections on the specified port.
 app.listen(port, () => {
-    console.log(`Toolkit Chat Demo Backend listening on http://localhost:${port}`);
+    console.log(`Toolkit Chat Demo Backend listening on http://localhost:${port}${config.basePath}`);
+    if (config.serveFrontend) {
+        console.log(`Open the chat at http://localhost:${port}${config.basePath}/`);
+    }
 });
\ No newline at end of file
@@ -0,0 +1,53 @@
+// server/abort.js - Cancellation of in-flight generations
+
+// --- How cancellation reaches the provider ---
+// The toolkit's providers consume their SDK streams with a `for await` loop and call
+// our chunk callback for every piece of text. Throwing from that callback unwinds the
+// loop, which runs the stream iterator's `return()` and closes the underlying HTTP
+// request to Ollama / OpenAI / Anthropic, so the model stops generating.
+// The AbortSignal is also passed down in the LLM options as `signal`, so a provider
+// that honours it can stop even before the first chunk arrives.
+
+/**
+ * Thrown from the chunk callback to stop a provider stream that is no longer wanted.
+ */
+class StreamAbortedError extends Error {
+    constructor(message = 'The client disconnected; generation was cancelled.') {
+        super(message);
+        this.name = 'StreamAbortedError';
+    }
+}
+
+/**
+ * Creates an AbortController that fires when the client goes away before the
+ * response has been fully written (tab closed, page reloaded, Stop pressed).
+ * @param {import('express').Response} res - The Express response for the streaming request.
+ * @returns {AbortController} Controller whose signal aborts on client disconnect.
+ */
+function abortOnDisconnect(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        // 'close' also fires after a normal res.end(); only abort unfinished responses
+        if (!res.writableEnded) {
+            controller.abort(new StreamAbortedError());
+        }
+    });
+    return controller;
+}
+
+/**
+ * Wraps a chunk callback so that it stops the provider stream once the signal aborts.
+ * @param {AbortSignal} signal - Signal from abortOnDisconnect().
+ * @param {(chunk: string) => void} callback - The callback that forwards chunks to the client.
+ * @returns {(chunk: string) => void} A callback that throws StreamAbortedError after abort.
+ */
+function abortableCallback(signal, callback) {
+    return (chunk) => {
+        if (signal.aborted) {
+            throw signal.reason instanceof StreamAbortedError ? signal.reason : new StreamAbortedError();
+        }
+        callback(chunk);
+    };
+}
+
+module.exports = { StreamAbortedError, abortOnDisconnect, abortableCallback };
@@ -0,0 +1,54 @@
+// server/adapter.js - Base class for the wrappers around a provider's LLMModule
+
+// --- Why wrappers? ---
+// Some provider behaviour the demo relies on belongs in @ubc-genai-toolkit/llm, which is
+// not part of this repository: specific error classes (server/errors.js), system prompts
+// for Anthropic (server/system-prompt.js), retries (server/retry.js) and failover
+// (server/failover.js). Until the toolkit covers them, the registry (server/providers.js)
+// wraps each provider's LLMModule in adapters that change only the calls concerned. They
+// extend LLMModuleAdapter, which passes every LLMModule method to the wrapped module, so
+// the routes use an adapter like the LLMModule itself and each fix can be dropped on its
+// own once the toolkit has it.
+
+/**
+ * Passes every LLMModule method to the wrapped module. Subclasses override the calls
+ * they change.
+ */
+class LLMModuleAdapter {
+    /**
+     * @param {object} llmModule - The module to wrap (an LLMModule or another adapter).
+     */
+    constructor(llmModule) {
+        this.llmModule = llmModule;
+    }
+
+    sendMessage(message, options) {
+        return this.llmModule.sendMessage(message, options);
+    }
+
+    sendConversation(messages, options) {
+        return this.llmModule.sendConversation(messages, options);
+    }
+
+    streamConversation(messages, callback, options) {
+        return this.llmModule.streamConversation(messages, callback, options);
+    }
+
+    embed(texts, options) {
+        return this.llmModule.embed(texts, options);
+    }
+
+    getAvailableModels() {
+        return this.llmModule.getAvailableModels();
+    }
+
+    getProviderName() {
+        return this.llmModule.getProviderName();
+    }
+
+    createConversation() {
+        return this.llmModule.createConversation();
+    }
+}
+
+module.exports = { LLMModuleAdapter };
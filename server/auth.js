@@ -0,0 +1,195 @@
+// server/auth.js - Authentication: who is making a request?
+
+// --- Strategies ---
+// Every request passes through `identify`, which tries each strategy in turn and sets
+// `req.user` ({ id, username, displayName }) from the first one that recognizes it:
+//   1. API token      `Authorization: Bearer tcd_...` (scripts, other tools)
+//   2. Session cookie signed with the session secret (the browser, after /auth/login)
+// More strategies (e.g. trusting a header set by an authenticating reverse proxy) can
+// be passed to createAuth. External identity providers log users in through
+// `startSession`: the OIDC routes in server/oidc.js do, and a SAML assertion consumer
+// route would do the same.
+//
+// --- Modes ---
+//   'none'      No sign-in needed; signed-in users are still recognized (the default, for local demos)
+//   'required'  The chat routes answer 401 until the user signs in
+//
+// --- Session cookies ---
+// The cookie holds the user and an expiry time, signed with HMAC-SHA256, so no session
+// store is needed. Signing out clears the cookie; a stolen cookie stays valid until it
+// expires, so keep sessionMaxAgeHours short where that matters.
+
+const express = require('express');
+const { createHmac, randomBytes, timingSafeEqual } = require('crypto');
+const { createOidcRouter } = require('./oidc');
+const { parseCookies } = require('./cookies');
+const { csrfProtection, issueCsrfToken } = require('./csrf');
+const { LoginThrottle } = require('./login-throttle');
+
+const SESSION_COOKIE = 'tcd_session';
+
+/**
+ * @param {string} data - The data to sign.
+ * @param {string} secret - The session secret.
+ * @returns {string} The HMAC-SHA256 signature (base64url).
+ */
+function sign(data, secret) {
+    return createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Reads a session cookie value, checking its signature and expiry.
+ * @param {string | undefined} value - The cookie value.
+ * @param {string} secret - The session secret.
+ * @returns {object | null} The signed-in user, or null if the cookie is missing, forged or expired.
+ */
+function readSession(value, secret) {
+    const [data, signature] = String(value || '').split('.');
+    if (!data || !signature) return null;
+
+    const expected = Buffer.from(sign(data, secret));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+
+    try {
+        const session = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        return session.expiresAt > Date.now() ? session.user : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Sets up authentication.
+ * @param {object} authConfig - The `auth` config section (see server/config.js).
+ * @param {object} deps
+ * @param {import('./user-store').JsonFileUserStore} deps.users - Local accounts and API tokens.
+ * @param {string[]} deps.allowedOrigins - Origins allowed to make state-changing requests (see server/csrf.js).
+ * @param {string} deps.basePath - The app's path prefix; cookies are limited to it.
+ * @param {Array<(req: import('express').Request) => Promise<object | null>>} [deps.strategies] -
+ *        Extra strategies, tried after API tokens and session cookies.
+ * @returns {{ identify: import('express').RequestHandler, requireUser: import('express').RequestHandler,
+ *             csrf: import('express').RequestHandler, router: import('express').Router }}
+ *          Middleware that sets `req.user`, middleware that enforces sign-in in 'required'
+ *          mode, CSRF protection for cookie sessions, and the /auth routes.
+ */
+function createAuth(authConfig, { users, allowedOrigins, basePath, strategies = [] }) {
+    let secret = authConfig.sessionSecret;
+    if (!secret) {
+        // Without a configured secret sessions still work, but end when the server restarts
+        secret = randomBytes(32).toString('base64url');
+        if (authConfig.mode !== 'none') {
+            console.warn('auth.sessionSecret is not set; using a random secret, so sessions end when the server restarts.');
+        }
+    }
+    const maxAgeSeconds = Math.round(authConfig.sessionMaxAgeHours * 3600);
+    const cookiePath = basePath || '/'; // Keeps apps under other prefixes on the same host from seeing the cookies
+    // Limits password guessing on /auth/login (see server/login-throttle.js)
+    const loginThrottle = new LoginThrottle({
+        failuresPerIp: authConfig.loginFailuresPerIp,
+        failuresPerUsername: authConfig.loginFailuresPerUsername,
+        windowMs: authConfig.loginWindowMinutes * 60 * 1000,
+    });
+
+    const apiToken = async (req) => {
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        return match ? users.findByToken(match[1]) : null;
+    };
+    const sessionCookie = async (req) => readSession(parseCookies(req.headers.cookie)[SESSION_COOKIE], secret);
+    const chain = [apiToken, sessionCookie, ...strategies];
+
+    /**
+     * Signs a user in by setting the session cookie.
+     * @param {import('express').Response} res - The response to set the cookie on.
+     * @param {{ id: string, username: string, displayName: string }} user - The user.
+     */
+    function startSession(res, user) {
+        const session = { user, expiresAt: Date.now() + maxAgeSeconds * 1000 };
+        const data = Buffer.from(JSON.stringify(session)).toString('base64url');
+        res.cookie(SESSION_COOKIE, `${data}.${sign(data, secret)}`, {
+            httpOnly: true, // Not readable from page scripts
+            sameSite: 'lax',
+            secure: authConfig.secureCookies, // Enable when the app is served over HTTPS
+            maxAge: maxAgeSeconds * 1000,
+            path: cookiePath,
+        });
+    }
+
+    async function identify(req, res, next) {
+        try {
+            for (const strategy of chain) {
+                const user = await strategy(req);
+                if (user) {
+                    req.user = user;
+                    break;
+                }
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    function requireUser(req, res, next) {
+        if (authConfig.mode === 'required' && !req.user) {
+            return res.status(401).json({ error: 'Sign in to use the chat.' });
+        }
+        next();
+    }
+
+    const router = express.Router();
+
+    // Who am I? Also tells the frontend whether it must show the sign-in form, and
+    // hands it the CSRF token to send with state-changing requests.
+    router.get('/me', (req, res) => {
+        res.json({
+            mode: authConfig.mode,
+            methods: { local: true, oidc: Boolean(authConfig.oidc) },
+            user: req.user || null,
+            csrfToken: issueCsrfToken(req, res, { secure: authConfig.secureCookies, path: cookiePath }),
+        });
+    });
+
+    router.post('/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'Invalid request body: username and password are required.' });
+        }
+        const verdict = loginThrottle.check(req.ip, username);
+        if (!verdict.allowed) {
+            console.log(`Refused sign-in for '${username}' from ${req.ip}: too many failed attempts.`);
+            res.setHeader('Retry-After', String(verdict.retryAfterSeconds));
+            return res.status(429).json({ error: 'Too many failed sign-in attempts. Try again later.', retryAfter: verdict.retryAfterSeconds });
+        }
+        try {
+            const user = await users.authenticate(username, password);
+            if (!user) {
+                loginThrottle.failed(req.ip, username);
+                console.log(`Failed sign-in for '${username}'.`);
+                return res.status(401).json({ error: 'Wrong username or password.' });
+            }
+            loginThrottle.succeeded(username);
+            startSession(res, user);
+            console.log(`User '${user.username}' signed in.`);
+            res.json({ user });
+        } catch (error) {
+            console.error('Could not check credentials:', error);
+            res.status(500).json({ error: 'Could not sign in.' });
+        }
+    });
+
+    router.post('/logout', (req, res) => {
+        res.clearCookie(SESSION_COOKIE, { path: cookiePath });
+        res.status(204).end();
+    });
+
+    if (authConfig.oidc) {
+        router.use('/oidc', createOidcRouter({ postLoginRedirect: `${basePath}/`, ...authConfig.oidc }, startSession));
+    }
+
+    const csrf = csrfProtection({ allowedOrigins, sessionCookie: SESSION_COOKIE });
+
+    return { identify, requireUser, csrf, router };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,144 @@
+// server/chat-stream.js - Shared streaming logic for chat routes
+
+// --- Why a shared helper? ---
+// Both /chat (stateless, the client sends the history) and
+// /conversations/:id/messages (the server holds the history) stream one LLM turn to
+// the browser the same way: typed SSE events, cancellation on disconnect, and the
+// same error handling before and after the first token. This module holds that logic.
+
+const { ToolkitError } = require('@ubc-genai-toolkit/core');
+const { initSSE, sendEvent } = require('./sse');
+const { abortOnDisconnect, abortableCallback } = require('./abort');
+const { responseStats } = require('./stats');
+const { RateLimitError, errorCodeFor } = require('./errors');
+
+/**
+ * Maps an error to an HTTP status code, using the ToolkitError code when it is a valid one.
+ * @param {Error} error - The caught error.
+ * @returns {number} An HTTP status code.
+ */
+function statusCodeFor(error) {
+    return error instanceof ToolkitError && error.code >= 400 && error.code < 600 ? error.code : 500;
+}
+
+/**
+ * Streams one LLM turn to the client as Server-Sent Events (see server/sse.js).
+ *
+ * @param {import('express').Response} res - The Express response to stream into.
+ * @param {object} params
+ * @param {string} params.provider - Name of the provider answering, reported in the `metadata` event.
+ * @param {object} [params.context] - How the history was fitted to the context window
+ *        (see server/context-window.js); sent as a `context` event when messages were trimmed.
+ * @param {object} [params.summary] - A conversation summary that was just refreshed
+ *        (see server/summarizer.js); sent as a `summary` event so the client can keep it.
+ * @param {object[]} [params.sources] - Document excerpts added to the prompt (see server/rag.js);
+ *        sent as a `sources` event so the client can show them under the answer.
+ * @param {(callback: (chunk: string) => void, signal: AbortSignal) => Promise<object>} params.run -
+ *        Starts the LLM call, passing each chunk to `callback`; resolves with the final LLMResponse.
+ * @param {AbortController} [params.abortController] - From abortOnDisconnect(res), when the route
+ *        already made LLM calls for this turn (e.g. the summary) that had to stop on disconnect too.
+ * @param {(reply: string) => object} params.estimateUsage - Estimates the usage of a reply the client
+ *        cancelled, which the provider never reports (see ContextWindow.estimateUsage).
+ * @returns {Promise<{ content: string, response?: object, usage?: object, aborted: boolean, error?: Error }>}
+ *          What happened, so the caller can persist the turn and count its `usage`. Never rejects.
+ */
+async function streamChat(res, { provider, context, summary, sources, run, estimateUsage, abortController = abortOnDisconnect(res) }) {
+    // Stop generating if the browser goes away (tab closed, reload, Stop button).
+    // Without this the provider stream would run to completion on the Ollama server.
+    if (abortController.signal.aborted) {
+        console.log('Client disconnected before the reply started.');
+        return { content: '', aborted: true };
+    }
+    let content = ''; // Everything streamed so far, kept for partial answers
+    const timing = { startedAt: Date.now(), firstTokenAt: undefined, finishedAt: undefined };
+
+    try {
+        // Set the HTTP headers for Server-Sent Events (see server/sse.js for the event types)
+        initSSE(res);
+
+        // Tell the frontend up front when older messages were left out of the prompt
+        if (context?.trimmedMessages > 0) {
+            const { trimmedMessages, estimatedTokens, budgetTokens } = context;
+            sendEvent(res, 'context', { trimmedMessages, estimatedTokens, budgetTokens });
+        }
+        if (summary) {
+            sendEvent(res, 'summary', summary);
+        }
+        if (sources?.length > 0) {
+            sendEvent(res, 'sources', { sources });
+        }
+
+        const response = await run(
+            abortableCallback(abortController.signal, (chunk) => {
+                // This callback function is executed by the LLMModule for each chunk of text received from the LLM.
+                // Each chunk is forwarded to the frontend as a `token` event.
+                timing.firstTokenAt ??= Date.now();
+                content += chunk;
+                sendEvent(res, 'token', { content: chunk });
+            }),
+            abortController.signal
+        );
+        timing.finishedAt = Date.now();
+
+        // The LLM call resolves with the final LLMResponse; forward what the
+        // frontend cannot reconstruct from the tokens alone (including which model answered,
+        // and which provider, when a fallback stood in for the chosen one; see server/failover.js).
+        sendEvent(res, 'metadata', {
+            model: response?.model,
+            provider: response?.metadata?.answeredBy || provider,
+            ...(response?.metadata?.failoverFrom && { failoverFrom: response.metadata.failoverFrom }),
+            metadata: response?.metadata || {},
+        });
+        if (response?.usage) {
+            sendEvent(res, 'usage', response.usage);
+        }
+        // Token counts and timings for the stats line under the reply (see server/stats.js)
+        sendEvent(res, 'stats', responseStats(response, timing));
+
+        // Signal the end of the stream, then close the HTTP response.
+        sendEvent(res, 'done', {});
+        res.end();
+        return { content, response, usage: response?.usage, aborted: false };
+
+    } catch (error) {
+        // A cancelled generation is expected; there is no client left to notify. The prompt
+        // and the tokens generated so far were still paid for, so they count towards the quota.
+        if (abortController.signal.aborted) {
+            console.log('Client disconnected; cancelled LLM stream.');
+            return { content, usage: estimateUsage(content), aborted: true };
+        }
+
+        // Handle errors that occur during the streaming process
+        console.error('Error during LLM streamConversation:', error);
+
+        let errorMsg = 'An error occurred while processing the chat stream.';
+        // If the error is a specific ToolkitError, use its message and code
+        if (error instanceof ToolkitError) {
+            errorMsg = `LLM Error: ${error.message}`;
+        }
+        const statusCode = statusCodeFor(error);
+        // A stable code the frontend can pick a helpful message for (see server/errors.js)
+        const errorCode = errorCodeFor(error);
+
+        // Check if headers have already been sent. If not, we can still reply with a JSON error.
+        if (!res.headersSent) {
+            // Drop the SSE content type set above so the JSON body is labelled correctly
+            res.removeHeader('Content-Type');
+            // A provider rate limit is answered like a quota (see server/metering.js), with when to try again
+            const retryAfter = error instanceof RateLimitError ? error.retryAfter : undefined;
+            if (retryAfter !== undefined) {
+                res.set('Retry-After', String(retryAfter));
+            }
+            res.status(statusCode).json({ error: errorMsg, errorCode, ...(retryAfter !== undefined && { retryAfter }) });
+        } else {
+            // Headers were already sent (some tokens were written), so report the
+            // failure in-band and finish the stream cleanly.
+            sendEvent(res, 'error', { error: errorMsg, code: statusCode, errorCode });
+            sendEvent(res, 'done', {});
+            res.end();
+        }
+        return { content, aborted: false, error };
+    }
+}
+
+module.exports = { streamChat, statusCodeFor };
@@ -0,0 +1,544 @@
+// server/config.js - Configuration loading and validation for the backend
+
+// --- Providers ---
+// Several providers can be configured at once as a named map in the config file:
+//   "providers": { "local": { "provider": "ollama", ... }, "sandbox": { ..., "apiKeyEnv": "SANDBOX_KEY" } }
+// Without a `providers` map, the `llm` section and the LLM_* variables describe a single
+// provider, named after its type (e.g. 'ollama'). The LLM_* variables only apply to that form.
+// A provider may list `fallbacks`, other providers tried in order when it is down
+// (see server/failover.js).
+
+// --- Sources and precedence ---
+// Settings are resolved in this order, later sources overriding earlier ones:
+//   1. Built-in defaults (port 3001; for 'ollama', a local server running llama3.1)
+//   2. An optional JSON or YAML config file (path from CHAT_DEMO_CONFIG or `--config <path>`)
+//   3. Environment variables
+// This lets the same checkout target any provider LLMModule supports
+// ('ollama', 'openai', 'anthropic', 'ubc-llm-sandbox') without editing source.
+//
+// Environment variables:
+//   LLM_PROVIDER, LLM_ENDPOINT, LLM_DEFAULT_MODEL, LLM_EMBEDDING_MODEL, LLM_API_KEY
+//   LLM_DEFAULT_OPTIONS  JSON object, e.g. '{"temperature":0.5,"maxTokens":800}'
+//   DEFAULT_PROVIDER     Name of the provider used when a request does not pick one
+//   PORT                 Port for the Express server
+//   CORS_ORIGINS         Comma-separated list of other origins allowed to call the API, or '*'
+//   DOCUMENTS_DIR        Directory of the document index for RAG (default ./data/documents)
+//   RAG_TOP_K            Document excerpts added to each chat turn (0 disables retrieval)
+//   SERVE_FRONTEND       'false' to stop the server from serving index.html, app.js, ... itself
+//   BASE_PATH            Path prefix the app is served under, e.g. '/chat-demo'
+//   TRUST_PROXY          Express 'trust proxy' setting, e.g. 'true', '1' (hops) or 'loopback'
+//   CONVERSATION_STORE_DIR  Directory for server-side conversations (JSON files)
+//   CONTEXT_MAX_TOKENS   Context length of the model; older messages are trimmed to fit
+//   SUMMARIZE_EVERY_TURNS  Fold older turns into a running summary every N turns ('0' disables)
+//   QUOTA_REQUESTS_PER_MINUTE, QUOTA_TOKENS_PER_DAY, QUOTA_MAX_CONCURRENT_STREAMS
+//                        Per-user limits ('0' disables); see server/metering.js
+//   RETRY_MAX_ATTEMPTS   Tries per LLM call, the first included ('1' disables retries); see server/retry.js
+//   RETRY_BASE_DELAY_MS, RETRY_MAX_DELAY_MS
+//                        First wait between tries, and the longest wait worth making
+//   RETRY_BREAKER_THRESHOLD, RETRY_BREAKER_COOLDOWN_MS
+//                        Failed calls in a row that open a provider's circuit breaker ('0'
+//                        disables it), and how long it stays open
+//   AUTH_MODE            'none' (default) or 'required'; see server/auth.js
+//   SESSION_SECRET       Secret for signing session cookies
+//   USERS_FILE           Local accounts file (default ./data/users.json)
+//   OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET, OIDC_REDIRECT_URI, OIDC_POST_LOGIN_REDIRECT
+//                        Sign-in through an OpenID Connect identity provider; see server/oidc.js
+//   DEBUG                'true' for verbose toolkit logging
+
+const fs = require('fs');
+const path = require('path');
+const { ConfigurationError } = require('@ubc-genai-toolkit/core');
+
+const SUPPORTED_PROVIDERS = ['ollama', 'openai', 'anthropic', 'ubc-llm-sandbox'];
+
+const DEFAULT_CONFIG = {
+    port: 3001, // Use a distinct port for the backend API (frontend served separately)
+    debug: false, // Set to true for more verbose toolkit logging
+    corsOrigins: [], // Same origin only; the server serves the frontend itself (serveFrontend)
+    serveFrontend: true,
+    basePath: '', // Path prefix for every route, e.g. '/chat-demo' ('' = site root)
+    trustProxy: false, // Set when running behind a reverse proxy (Express 'trust proxy')
+    conversationStore: {
+        type: 'json', // Only JSON files for now; see server/conversation-store.js for the store interface
+        directory: './data/conversations',
+    },
+    contextWindow: {
+        maxTokens: 4096, // Match the model's context length (Ollama's num_ctx); see server/context-window.js
+        reserveTokens: 512, // Room kept for the reply when a request sets no maxTokens
+    },
+    summarization: {
+        everyTurns: 6, // Refresh the running summary every 6 turns (0 disables); see server/summarizer.js
+        keepRecentTurns: 4, // The latest turns are always sent in full
+        maxTokens: 400, // Length limit for the summary
+    },
+    rag: {
+        // Answers from uploaded course documents; see server/rag.js
+        directory: './data/documents', // The on-disk vector index
+        provider: undefined, // Provider that embeds documents and questions; the default provider when unset
+        embeddingModel: undefined, // The provider's embeddingModel when unset
+        chunkChars: 1200, // Characters per chunk
+        chunkOverlap: 200, // Characters repeated at the start of the next chunk
+        topK: 4, // Excerpts added to each chat turn (0 disables retrieval)
+        minScore: 0.3, // Lowest cosine similarity for an excerpt to be used
+        maxUploadMB: 10,
+    },
+    requestLimits: {
+        // Bounds on what one chat request may ask for; see server/validation.js
+        maxMessages: 200, // Messages in the history sent with one request
+        maxChars: 100000, // Characters in all those messages together
+        maxTokens: 4096, // Highest maxTokens option a client may set
+        maxEmbedTexts: 64, // Texts in one /embed request
+        maxEmbedChars: 8000, // Characters in one text to embed (longer ones need `truncate: true`)
+    },
+    retry: {
+        // Retries of failed LLM calls and a circuit breaker per provider; see server/retry.js
+        maxAttempts: 3, // Tries per call, the first included (1 disables retries)
+        baseDelayMs: 500, // Wait before the second try; doubled for each further try, with jitter
+        maxDelayMs: 8000, // Longest wait between tries; a longer Retry-After ends the retries
+        retryStatusCodes: [408, 429, 500, 502, 503, 504], // Network errors are always retried
+        breakerThreshold: 5, // Failed calls in a row that make a provider fail fast (0 disables)
+        breakerCooldownMs: 30000, // How long it fails fast before one call is let through
+    },
+    quotas: {
+        // Per-user limits on chat requests (0 = unlimited); see server/metering.js
+        requestsPerMinute: 0,
+        tokensPerDay: 0,
+        maxConcurrentStreams: 0,
+    },
+    auth: {
+        mode: 'none', // 'required' to make users sign in; see server/auth.js
+        usersFile: './data/users.json', // Local accounts, managed with `npm run users`
+        sessionSecret: undefined, // Random per start when unset, so sessions end on restart
+        sessionMaxAgeHours: 12,
+        // Failed sign-ins allowed per client IP and per username within the window (0 = unlimited); see server/login-throttle.js
+        loginFailuresPerIp: 50,
+        loginFailuresPerUsername: 10,
+        loginWindowMinutes: 15,
+        secureCookies: false, // Set to true when the app is served over HTTPS
+        oidc: undefined, // { issuer, clientId, clientSecret?, redirectUri, scopes?, postLoginRedirect? }
+    },
+};
+
+const AUTH_MODES = ['none', 'required'];
+
+const SUPPORTED_STORES = ['json'];
+
+// Defaults applied per provider, so switching LLM_PROVIDER does not inherit Ollama's endpoint
+const DEFAULT_PROVIDER = 'ollama';
+const PROVIDER_DEFAULTS = {
+    ollama: {
+        endpoint: 'http://localhost:11434', // Ensure your Ollama server is running here
+        defaultModel: 'llama3.1', // Ensure this model is available via `ollama list`
+    },
+};
+
+/**
+ * Reads a JSON or YAML config file. YAML is parsed with the `yaml` package (a dependency).
+ * @param {string} filePath - Path to the config file.
+ * @returns {object} The parsed file contents.
+ * @throws {ConfigurationError} If the file cannot be read or parsed.
+ */
+function readConfigFile(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new ConfigurationError(`Cannot read config file '${filePath}': ${error.message}`);
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            // Only loaded when a YAML file is given; JSON files need no parser
+            const YAML = require('yaml');
+            return YAML.parse(text) || {};
+        }
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ConfigurationError(`Cannot parse config file '${filePath}': ${error.message}`);
+    }
+}
+
+/**
+ * Converts TRUST_PROXY to Express's 'trust proxy' value.
+ * @param {string} value - 'true'/'false', a number of proxy hops, or addresses/subnets.
+ * @returns {boolean | number | string} The setting.
+ */
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Normalizes a base path to '' or '/segment[/segment...]' (leading slash, no trailing slash).
+ * @param {string} basePath - The configured base path.
+ * @returns {string} The normalized base path.
+ */
+function normalizeBasePath(basePath) {
+    const trimmed = String(basePath).trim().replace(/^\/+|\/+$/g, '');
+    return trimmed ? `/${trimmed}` : '';
+}
+
+/**
+ * Picks the LLM and server settings out of environment variables.
+ * Only variables that are set are returned, so they override file values selectively.
+ * @param {NodeJS.ProcessEnv} env - The environment to read.
+ * @returns {object} A partial config object.
+ * @throws {ConfigurationError} If LLM_DEFAULT_OPTIONS is not valid JSON.
+ */
+function configFromEnv(env) {
+    const llm = {};
+    if (env.LLM_PROVIDER) llm.provider = env.LLM_PROVIDER;
+    if (env.LLM_ENDPOINT) llm.endpoint = env.LLM_ENDPOINT;
+    if (env.LLM_DEFAULT_MODEL) llm.defaultModel = env.LLM_DEFAULT_MODEL;
+    if (env.LLM_EMBEDDING_MODEL) llm.embeddingModel = env.LLM_EMBEDDING_MODEL;
+    if (env.LLM_API_KEY) llm.apiKey = env.LLM_API_KEY;
+    if (env.LLM_DEFAULT_OPTIONS) {
+        try {
+            llm.defaultOptions = JSON.parse(env.LLM_DEFAULT_OPTIONS);
+        } catch (error) {
+            throw new ConfigurationError(`LLM_DEFAULT_OPTIONS is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const config = { llm };
+    if (env.PORT) config.port = Number(env.PORT);
+    if (env.CORS_ORIGINS) config.corsOrigins = env.CORS_ORIGINS.split(',').map((origin) => origin.trim()).filter(Boolean);
+    if (env.SERVE_FRONTEND) config.serveFrontend = env.SERVE_FRONTEND === 'true' || env.SERVE_FRONTEND === '1';
+    if (env.BASE_PATH) config.basePath = env.BASE_PATH;
+    if (env.TRUST_PROXY) config.trustProxy = parseTrustProxy(env.TRUST_PROXY);
+    if (env.CONVERSATION_STORE_DIR) config.conversationStore = { type: 'json', directory: env.CONVERSATION_STORE_DIR };
+    const rag = {};
+    if (env.DOCUMENTS_DIR) rag.directory = env.DOCUMENTS_DIR;
+    if (env.RAG_TOP_K) rag.topK = Number(env.RAG_TOP_K);
+    if (Object.keys(rag).length > 0) config.rag = rag;
+    if (env.CONTEXT_MAX_TOKENS) config.contextWindow = { maxTokens: Number(env.CONTEXT_MAX_TOKENS) };
+    if (env.SUMMARIZE_EVERY_TURNS) config.summarization = { everyTurns: Number(env.SUMMARIZE_EVERY_TURNS) };
+    const quotas = {};
+    if (env.QUOTA_REQUESTS_PER_MINUTE) quotas.requestsPerMinute = Number(env.QUOTA_REQUESTS_PER_MINUTE);
+    if (env.QUOTA_TOKENS_PER_DAY) quotas.tokensPerDay = Number(env.QUOTA_TOKENS_PER_DAY);
+    if (env.QUOTA_MAX_CONCURRENT_STREAMS) quotas.maxConcurrentStreams = Number(env.QUOTA_MAX_CONCURRENT_STREAMS);
+    if (Object.keys(quotas).length > 0) config.quotas = quotas;
+    const retry = {};
+    if (env.RETRY_MAX_ATTEMPTS) retry.maxAttempts = Number(env.RETRY_MAX_ATTEMPTS);
+    if (env.RETRY_BASE_DELAY_MS) retry.baseDelayMs = Number(env.RETRY_BASE_DELAY_MS);
+    if (env.RETRY_MAX_DELAY_MS) retry.maxDelayMs = Number(env.RETRY_MAX_DELAY_MS);
+    if (env.RETRY_BREAKER_THRESHOLD) retry.breakerThreshold = Number(env.RETRY_BREAKER_THRESHOLD);
+    if (env.RETRY_BREAKER_COOLDOWN_MS) retry.breakerCooldownMs = Number(env.RETRY_BREAKER_COOLDOWN_MS);
+    if (Object.keys(retry).length > 0) config.retry = retry;
+    const auth = {};
+    if (env.AUTH_MODE) auth.mode = env.AUTH_MODE;
+    if (env.SESSION_SECRET) auth.sessionSecret = env.SESSION_SECRET;
+    if (env.USERS_FILE) auth.usersFile = env.USERS_FILE;
+    if (env.OIDC_ISSUER) {
+        auth.oidc = {
+            issuer: env.OIDC_ISSUER,
+            clientId: env.OIDC_CLIENT_ID,
+            clientSecret: env.OIDC_CLIENT_SECRET,
+            redirectUri: env.OIDC_REDIRECT_URI,
+            postLoginRedirect: env.OIDC_POST_LOGIN_REDIRECT,
+        };
+    }
+    if (Object.keys(auth).length > 0) config.auth = auth;
+    if (env.DEBUG) config.debug = env.DEBUG === 'true' || env.DEBUG === '1';
+    return config;
+}
+
+/**
+ * Checks one provider entry against what LLMModule.initializeProvider requires.
+ * @param {string} label - Where the entry came from, used as the prefix in messages (e.g. 'providers.local').
+ * @param {object} llm - The provider settings.
+ * @returns {string[]} Problems found (empty when the entry is valid).
+ */
+function validateProviderConfig(label, llm) {
+    const problems = [];
+
+    if (!SUPPORTED_PROVIDERS.includes(llm.provider)) {
+        problems.push(`${label}.provider must be one of ${SUPPORTED_PROVIDERS.join(', ')} (got '${llm.provider}')`);
+    }
+    if (!llm.defaultModel) {
+        problems.push(`${label}.defaultModel is required`);
+    }
+    if ((llm.provider === 'ollama' || llm.provider === 'ubc-llm-sandbox') && !llm.endpoint) {
+        problems.push(`${label}.endpoint is required for the '${llm.provider}' provider`);
+    }
+    if (['openai', 'anthropic', 'ubc-llm-sandbox'].includes(llm.provider) && !llm.apiKey) {
+        const hint = llm.apiKeyEnv ? `set ${llm.apiKeyEnv}` : 'set LLM_API_KEY or apiKeyEnv';
+        problems.push(`${label}.apiKey is required for the '${llm.provider}' provider (${hint})`);
+    }
+    if (llm.endpoint) {
+        try {
+            new URL(llm.endpoint);
+        } catch {
+            problems.push(`${label}.endpoint is not a valid URL (got '${llm.endpoint}')`);
+        }
+    }
+
+    if (llm.defaultOptions !== undefined) {
+        const options = llm.defaultOptions;
+        if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+            problems.push(`${label}.defaultOptions must be an object`);
+        } else {
+            if (options.temperature !== undefined && (typeof options.temperature !== 'number' || options.temperature < 0 || options.temperature > 2)) {
+                problems.push(`${label}.defaultOptions.temperature must be a number between 0 and 2`);
+            }
+            if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+                problems.push(`${label}.defaultOptions.maxTokens must be a positive integer`);
+            }
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Checks that a string is a bare origin. Origins are compared exactly with the Origin
+ * header, so 'https://example.ubc.ca/' (trailing slash) or a path would never match.
+ * @param {string} value - The value to check.
+ * @returns {boolean} Whether it is an origin like 'https://example.ubc.ca'.
+ */
+function isOrigin(value) {
+    try {
+        return new URL(value).origin === value;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks a resolved config and returns a list of human-readable problems.
+ * Mistakes are reported together at startup rather than one at a time.
+ * @param {object} config - The merged configuration.
+ * @returns {string[]} Problems found (empty when the config is valid).
+ */
+function validateConfig(config) {
+    const problems = [];
+
+    if (!Number.isInteger(config.port) || config.port < 1 || config.port > 65535) {
+        problems.push(`port must be an integer between 1 and 65535 (got '${config.port}')`);
+    }
+    if (!Array.isArray(config.corsOrigins) || config.corsOrigins.some((origin) => typeof origin !== 'string')) {
+        problems.push('corsOrigins must be a list of origin strings');
+    } else {
+        for (const origin of config.corsOrigins) {
+            if (origin !== '*' && !isOrigin(origin)) {
+                problems.push(`corsOrigins entries must be origins like 'https://example.ubc.ca' (got '${origin}')`);
+            }
+        }
+    }
+    if (!/^(\/[\w.~-]+)*$/.test(config.basePath)) {
+        problems.push(`basePath must be a URL path like '/chat-demo' (got '${config.basePath}')`);
+    }
+    if (!['boolean', 'number', 'string'].includes(typeof config.trustProxy)) {
+        problems.push(`trustProxy must be true/false, a number of proxies, or addresses (got '${config.trustProxy}')`);
+    }
+    if (typeof config.serveFrontend !== 'boolean') {
+        problems.push(`serveFrontend must be true or false (got '${config.serveFrontend}')`);
+    }
+
+    const store = config.conversationStore;
+    if (!store || !SUPPORTED_STORES.includes(store.type)) {
+        problems.push(`conversationStore.type must be one of ${SUPPORTED_STORES.join(', ')} (got '${store?.type}')`);
+    } else if (store.type === 'json' && (typeof store.directory !== 'string' || !store.directory)) {
+        problems.push('conversationStore.directory is required for the json store');
+    }
+
+    const contextWindow = config.contextWindow;
+    if (!Number.isInteger(contextWindow?.maxTokens) || contextWindow.maxTokens < 1) {
+        problems.push(`contextWindow.maxTokens must be a positive integer (got '${contextWindow?.maxTokens}')`);
+    } else if (!Number.isInteger(contextWindow.reserveTokens) || contextWindow.reserveTokens < 0 || contextWindow.reserveTokens >= contextWindow.maxTokens) {
+        problems.push('contextWindow.reserveTokens must be a non-negative integer smaller than contextWindow.maxTokens');
+    }
+
+    const summarization = config.summarization;
+    for (const key of ['everyTurns', 'keepRecentTurns', 'maxTokens']) {
+        const value = summarization?.[key];
+        if (!Number.isInteger(value) || value < (key === 'maxTokens' ? 1 : 0)) {
+            problems.push(`summarization.${key} must be a ${key === 'maxTokens' ? 'positive' : 'non-negative'} integer (got '${value}')`);
+        }
+    }
+
+    const rag = config.rag;
+    if (rag?.provider !== undefined && !config.providers?.[rag.provider]) {
+        problems.push(`rag.provider '${rag.provider}' is not a configured provider`);
+    }
+    if (typeof rag?.directory !== 'string' || !rag.directory) {
+        problems.push('rag.directory is required');
+    }
+    if (!Number.isInteger(rag?.chunkChars) || rag.chunkChars < 100) {
+        problems.push(`rag.chunkChars must be an integer of at least 100 (got '${rag?.chunkChars}')`);
+    } else if (!Number.isInteger(rag.chunkOverlap) || rag.chunkOverlap < 0 || rag.chunkOverlap > rag.chunkChars / 2) {
+        problems.push('rag.chunkOverlap must be a non-negative integer of at most half of rag.chunkChars');
+    }
+    if (!Number.isInteger(rag?.topK) || rag.topK < 0) {
+        problems.push(`rag.topK must be a non-negative integer (got '${rag?.topK}')`);
+    }
+    if (typeof rag?.minScore !== 'number' || rag.minScore < -1 || rag.minScore > 1) {
+        problems.push(`rag.minScore must be a number between -1 and 1 (got '${rag?.minScore}')`);
+    }
+    if (typeof rag?.maxUploadMB !== 'number' || rag.maxUploadMB <= 0) {
+        problems.push(`rag.maxUploadMB must be a positive number (got '${rag?.maxUploadMB}')`);
+    }
+
+    for (const key of ['maxMessages', 'maxChars', 'maxTokens', 'maxEmbedTexts', 'maxEmbedChars']) {
+        const value = config.requestLimits?.[key];
+        if (!Number.isInteger(value) || value < 1) {
+            problems.push(`requestLimits.${key} must be a positive integer (got '${value}')`);
+        }
+    }
+
+    for (const key of ['requestsPerMinute', 'tokensPerDay', 'maxConcurrentStreams']) {
+        const value = config.quotas?.[key];
+        if (!Number.isInteger(value) || value < 0) {
+            problems.push(`quotas.${key} must be a non-negative integer (got '${value}')`);
+        }
+    }
+
+    const retry = config.retry;
+    if (!Number.isInteger(retry?.maxAttempts) || retry.maxAttempts < 1) {
+        problems.push(`retry.maxAttempts must be a positive integer (got '${retry?.maxAttempts}')`);
+    }
+    for (const key of ['baseDelayMs', 'maxDelayMs', 'breakerThreshold', 'breakerCooldownMs']) {
+        if (!Number.isInteger(retry?.[key]) || retry[key] < 0) {
+            problems.push(`retry.${key} must be a non-negative integer (got '${retry?.[key]}')`);
+        }
+    }
+    if (!Array.isArray(retry?.retryStatusCodes) || !retry.retryStatusCodes.every((code) => Number.isInteger(code) && code >= 400 && code < 600)) {
+        problems.push('retry.retryStatusCodes must be a list of HTTP error status codes');
+    }
+
+    const auth = config.auth;
+    if (!AUTH_MODES.includes(auth?.mode)) {
+        problems.push(`auth.mode must be one of ${AUTH_MODES.join(', ')} (got '${auth?.mode}')`);
+    }
+    if (typeof auth?.usersFile !== 'string' || !auth.usersFile) {
+        problems.push('auth.usersFile is required');
+    }
+    if (typeof auth?.sessionMaxAgeHours !== 'number' || auth.sessionMaxAgeHours <= 0) {
+        problems.push(`auth.sessionMaxAgeHours must be a positive number (got '${auth?.sessionMaxAgeHours}')`);
+    }
+    for (const key of ['loginFailuresPerIp', 'loginFailuresPerUsername']) {
+        if (!Number.isInteger(auth?.[key]) || auth[key] < 0) {
+            problems.push(`auth.${key} must be a non-negative integer (got '${auth?.[key]}')`);
+        }
+    }
+    if (typeof auth?.loginWindowMinutes !== 'number' || auth.loginWindowMinutes <= 0) {
+        problems.push(`auth.loginWindowMinutes must be a positive number (got '${auth?.loginWindowMinutes}')`);
+    }
+    if (auth?.oidc) {
+        for (const key of ['issuer', 'redirectUri']) {
+            try {
+                new URL(auth.oidc[key]);
+            } catch {
+                problems.push(`auth.oidc.${key} must be a valid URL (got '${auth.oidc[key]}')`);
+            }
+        }
+        if (!auth.oidc.clientId) {
+            problems.push('auth.oidc.clientId is required');
+        }
+    }
+
+    const names = Object.keys(config.providers);
+    if (names.length === 0) {
+        problems.push('at least one provider must be configured');
+    }
+    for (const name of names) {
+        problems.push(...validateProviderConfig(`providers.${name}`, config.providers[name]));
+        const fallbacks = config.providers[name].fallbacks;
+        if (fallbacks !== undefined && (!Array.isArray(fallbacks) || !fallbacks.every((fallback) => fallback !== name && names.includes(fallback)))) {
+            problems.push(`providers.${name}.fallbacks must be a list of other configured providers (got '${fallbacks}')`);
+        }
+    }
+    if (names.length > 0 && !names.includes(config.defaultProvider)) {
+        problems.push(`defaultProvider must be one of ${names.join(', ')} (got '${config.defaultProvider}')`);
+    }
+
+    return problems;
+}
+
+/**
+ * Fills in per-provider defaults and resolves `apiKeyEnv` (the name of an environment
+ * variable holding the key), so secrets never have to be written into a config file.
+ * @param {object} llm - A provider entry from the config file or environment.
+ * @param {NodeJS.ProcessEnv} env - Environment variables.
+ * @returns {object} The completed provider entry.
+ */
+function resolveProviderConfig(llm, env) {
+    const provider = llm.provider || DEFAULT_PROVIDER;
+    const resolved = { ...PROVIDER_DEFAULTS[provider], ...llm, provider };
+    if (!resolved.apiKey && resolved.apiKeyEnv) {
+        resolved.apiKey = env[resolved.apiKeyEnv];
+    }
+    return resolved;
+}
+
+/**
+ * @param {string} [configPath] - The config file, if one was given.
+ * @param {string[]} problems - What is wrong with the configuration.
+ * @returns {ConfigurationError} The error listing the problems.
+ */
+function invalidConfiguration(configPath, problems) {
+    return new ConfigurationError(
+        `Invalid configuration${configPath ? ` (config file: ${configPath})` : ''}:\n  - ${problems.join('\n  - ')}`,
+        { problems }
+    );
+}
+
+/**
+ * Loads, merges and validates the server configuration.
+ * Providers are configured either as a named `providers` map in the config file, or
+ * as a single `llm` section (file and/or LLM_* variables) named after its provider type.
+ * @param {object} [sources] - Where to read settings from (defaults to this process).
+ * @param {NodeJS.ProcessEnv} [sources.env] - Environment variables.
+ * @param {string[]} [sources.argv] - Command-line arguments, checked for `--config <path>`.
+ * @returns {object} The resolved configuration, with `providers` and `defaultProvider`.
+ * @throws {ConfigurationError} If the config file is unreadable or any setting is invalid.
+ */
+function loadConfig({ env = process.env, argv = process.argv } = {}) {
+    const flagIndex = argv.indexOf('--config');
+    const configPath = flagIndex !== -1 ? argv[flagIndex + 1] : env.CHAT_DEMO_CONFIG;
+
+    const fileConfig = configPath ? readConfigFile(configPath) : {};
+    // Anything but a map of settings (null, a number, a list) has no settings to read
+    if (fileConfig === null || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+        const found = Array.isArray(fileConfig) ? 'a list' : fileConfig === null ? 'null' : `a ${typeof fileConfig}`;
+        throw invalidConfiguration(configPath, [`the config file must contain an object of settings (got ${found})`]);
+    }
+    const { llm: envLlm, ...envConfig } = configFromEnv(env);
+
+    let providers = {};
+    if (fileConfig.providers && typeof fileConfig.providers === 'object') {
+        for (const [name, entry] of Object.entries(fileConfig.providers)) {
+            providers[name] = resolveProviderConfig(entry || {}, env);
+        }
+    } else {
+        const llm = resolveProviderConfig({ ...fileConfig.llm, ...envLlm }, env);
+        providers = { [llm.provider]: llm };
+    }
+
+    const { llm: _fileLlm, ...fileSettings } = fileConfig;
+    const config = {
+        ...DEFAULT_CONFIG,
+        ...fileSettings,
+        ...envConfig,
+        conversationStore: { ...DEFAULT_CONFIG.conversationStore, ...fileSettings.conversationStore, ...envConfig.conversationStore },
+        contextWindow: { ...DEFAULT_CONFIG.contextWindow, ...fileSettings.contextWindow, ...envConfig.contextWindow },
+        summarization: { ...DEFAULT_CONFIG.summarization, ...fileSettings.summarization, ...envConfig.summarization },
+        rag: { ...DEFAULT_CONFIG.rag, ...fileSettings.rag, ...envConfig.rag },
+        requestLimits: { ...DEFAULT_CONFIG.requestLimits, ...fileSettings.requestLimits },
+        quotas: { ...DEFAULT_CONFIG.quotas, ...fileSettings.quotas, ...envConfig.quotas },
+        retry: { ...DEFAULT_CONFIG.retry, ...fileSettings.retry, ...envConfig.retry },
+        auth: { ...DEFAULT_CONFIG.auth, ...fileSettings.auth, ...envConfig.auth },
+        providers,
+        basePath: normalizeBasePath(envConfig.basePath ?? fileSettings.basePath ?? DEFAULT_CONFIG.basePath),
+        defaultProvider: env.DEFAULT_PROVIDER || fileConfig.defaultProvider || Object.keys(providers)[0],
+    };
+
+    const problems = validateConfig(config);
+    if (problems.length > 0) {
+        throw invalidConfiguration(configPath, problems);
+    }
+    return config;
+}
+
+module.exports = { loadConfig, validateConfig, SUPPORTED_PROVIDERS };
@@ -0,0 +1,116 @@
+// server/context-window.js - Keeps chat history within the model's context window
+
+// --- Why a context manager? ---
+// The frontend sends the whole history every turn. Long chats eventually exceed the
+// model's context window: providers either reject the request or, like Ollama, silently
+// drop the start of the prompt (including the system prompt). This module trims the
+// history before it reaches the toolkit instead, so that:
+//   - system messages are always kept,
+//   - the newest messages are kept, and the oldest turns are dropped first,
+//   - room is left for the reply (options.maxTokens).
+//
+// --- Estimating tokens ---
+// There is no tokenizer for every provider, so tokens are estimated from the character
+// count (about 4 characters per token for English text, plus a few tokens of per-message
+// overhead for the chat template). After each reply, the prompt token count reported by
+// the provider (Ollama's prompt_eval_count, returned as usage.promptTokens) is compared
+// with the character count of the prompt that was sent, and the ratio for that provider
+// is adjusted. Estimates therefore improve as the chat goes on.
+
+const DEFAULT_CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4; // Role markers and separators added by the chat template
+const CALIBRATION_WEIGHT = 0.3; // How far one observation moves the running ratio
+
+/**
+ * Fits message histories into a token budget, calibrating its estimates per provider.
+ */
+class ContextWindow {
+    /**
+     * @param {object} settings
+     * @param {number} settings.maxTokens - The model's context length (for Ollama, its num_ctx).
+     * @param {number} settings.reserveTokens - Room kept for the reply when a request sets no maxTokens.
+     */
+    constructor({ maxTokens, reserveTokens }) {
+        this.maxTokens = maxTokens;
+        this.reserveTokens = reserveTokens;
+        this.charsPerToken = new Map(); // Provider name -> calibrated characters per token
+    }
+
+    /**
+     * Estimates the prompt tokens of a list of messages.
+     * @param {string} provider - The provider name, whose calibration is used.
+     * @param {Array<{role: string, content: string}>} messages - The messages.
+     * @returns {number} The estimated token count.
+     */
+    estimate(provider, messages) {
+        const ratio = this.charsPerToken.get(provider) || DEFAULT_CHARS_PER_TOKEN;
+        return messages.reduce(
+            (total, message) => total + Math.ceil(String(message.content).length / ratio) + MESSAGE_OVERHEAD_TOKENS,
+            0
+        );
+    }
+
+    /**
+     * Estimates the usage of a reply the provider never reported on, such as a stream the
+     * client cancelled, so that its tokens still count against the quota.
+     * @param {string} provider - The provider name, whose calibration is used.
+     * @param {Array<{role: string, content: string}>} messages - The messages that were sent.
+     * @param {string} reply - The text generated so far.
+     * @returns {{ promptTokens: number, completionTokens: number, totalTokens: number }} The estimated usage.
+     */
+    estimateUsage(provider, messages, reply) {
+        const ratio = this.charsPerToken.get(provider) || DEFAULT_CHARS_PER_TOKEN;
+        const promptTokens = this.estimate(provider, messages);
+        const completionTokens = Math.ceil(reply.length / ratio);
+        return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    }
+
+    /**
+     * Drops the oldest turns until the messages fit the budget. System messages and the
+     * latest message are always kept, even if they alone exceed the budget.
+     * @param {string} provider - The provider name.
+     * @param {Array<{role: string, content: string}>} messages - The full history, oldest first.
+     * @param {object} [options] - The LLM options of the request; `maxTokens` is reserved for the reply.
+     * @returns {{ messages: object[], trimmedMessages: number, estimatedTokens: number, budgetTokens: number }}
+     *          The messages to send and what was done to them.
+     */
+    fit(provider, messages, options = {}) {
+        const budgetTokens = Math.max(0, this.maxTokens - (options.maxTokens || this.reserveTokens));
+
+        const kept = [...messages];
+        let estimatedTokens = this.estimate(provider, kept);
+        let trimmedMessages = 0;
+
+        while (estimatedTokens > budgetTokens) {
+            // The oldest message that may be dropped: not a system message, and not the latest message
+            const index = kept.findIndex((message, i) => message.role !== 'system' && i < kept.length - 1);
+            if (index === -1) break;
+
+            // Drop a whole turn (the user message and the reply to it) so no reply is left without its question
+            const count = kept[index].role === 'user' && kept[index + 1]?.role === 'assistant' && index + 1 < kept.length - 1 ? 2 : 1;
+            kept.splice(index, count);
+            trimmedMessages += count;
+            estimatedTokens = this.estimate(provider, kept);
+        }
+
+        return { messages: kept, trimmedMessages, estimatedTokens, budgetTokens };
+    }
+
+    /**
+     * Adjusts a provider's characters-per-token ratio from the prompt token count it reported.
+     * @param {string} provider - The provider name.
+     * @param {Array<{role: string, content: string}>} messages - The messages that were sent.
+     * @param {object} [usage] - The `usage` of the LLMResponse; ignored when it has no promptTokens.
+     */
+    calibrate(provider, messages, usage) {
+        const contentTokens = (usage?.promptTokens || 0) - messages.length * MESSAGE_OVERHEAD_TOKENS;
+        const chars = messages.reduce((total, message) => total + String(message.content).length, 0);
+        if (contentTokens <= 0 || chars === 0) return;
+
+        const observed = chars / contentTokens;
+        const current = this.charsPerToken.get(provider) || DEFAULT_CHARS_PER_TOKEN;
+        this.charsPerToken.set(provider, current + (observed - current) * CALIBRATION_WEIGHT);
+    }
+}
+
+module.exports = { ContextWindow };
@@ -0,0 +1,114 @@
+// server/conversation-store.js - Persistence for server-side conversations
+
+// --- Store interface ---
+// Conversation routes only use these async methods, so another backend (SQLite,
+// Postgres, ...) can be dropped in by implementing the same interface:
+//   get(id)        -> record | undefined
+//   save(record)   -> record        (insert or replace)
+//   delete(id)     -> boolean       (false if it did not exist)
+//   list()         -> record summaries, most recently updated first
+//
+// A record looks like:
+//   { id, owner, provider, options, createdAt, updatedAt,
+//     messages: [{ role, content, timestamp }] }   // timestamps from ConversationImpl.addMessage
+
+const fs = require('fs/promises');
+const path = require('path');
+const { ConfigurationError } = require('@ubc-genai-toolkit/core');
+
+// Conversation ids are generated with crypto.randomUUID(); anything else is rejected
+// before it can be used as a file name.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Stores each conversation as a JSON file in a directory.
+ */
+class JsonFileConversationStore {
+    /**
+     * @param {string} directory - Directory for the JSON files; created on first write.
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * @param {string} id - The conversation id.
+     * @returns {string | null} The record's file path, or null for an invalid id.
+     */
+    filePath(id) {
+        return ID_PATTERN.test(id) ? path.join(this.directory, `${id}.json`) : null;
+    }
+
+    async get(id) {
+        const file = this.filePath(id);
+        if (!file) return undefined;
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    }
+
+    async save(record) {
+        const file = this.filePath(record.id);
+        if (!file) {
+            throw new Error(`Invalid conversation id '${record.id}'`);
+        }
+        await fs.mkdir(this.directory, { recursive: true });
+        // Write to a temporary file first so a crash never leaves a half-written record
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(record, null, 2));
+        await fs.rename(tempFile, file);
+        return record;
+    }
+
+    async delete(id) {
+        const file = this.filePath(id);
+        if (!file) return false;
+        try {
+            await fs.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async list() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = await Promise.all(
+            files
+                .filter((file) => file.endsWith('.json'))
+                .map((file) => this.get(path.basename(file, '.json')))
+        );
+        return records
+            .filter(Boolean)
+            .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+}
+
+/**
+ * Creates the conversation store described by the configuration.
+ * @param {{ type: string, directory?: string }} storeConfig - The `conversationStore` config section.
+ * @returns {JsonFileConversationStore} The store.
+ * @throws {ConfigurationError} If the store type is not supported.
+ */
+function createConversationStore(storeConfig) {
+    switch (storeConfig.type) {
+        case 'json':
+            return new JsonFileConversationStore(path.resolve(storeConfig.directory));
+        default:
+            throw new ConfigurationError(`Unsupported conversation store type: ${storeConfig.type}`);
+    }
+}
+
+module.exports = { JsonFileConversationStore, createConversationStore };
@@ -0,0 +1,254 @@
+// server/conversations.js - Server-side conversation routes (/conversations)
+
+// --- Why server-side conversations? ---
+// With /chat the browser resends the whole history every turn and the server keeps
+// nothing, so chats cannot be audited or resumed on another device. These routes keep
+// the history on the server instead, as toolkit ConversationImpl objects persisted
+// through a pluggable store (see server/conversation-store.js). The timestamps that
+// ConversationImpl.addMessage records are kept with every message. A conversation belongs
+// to the user who created it (see server/auth.js); others get 404. The full history is
+// stored, but older turns are sent as a running summary (kept in the record's `summary`,
+// see server/summarizer.js) and trimmed to fit the context window (server/context-window.js).
+//
+//   POST   /conversations               { provider?, systemPrompt?, options? } -> record
+//   GET    /conversations               -> summaries, most recently updated first
+//   GET    /conversations/:id           -> record with messages
+//   POST   /conversations/:id/messages  { content, options? } -> SSE stream (as /chat)
+//   DELETE /conversations/:id           -> 204
+
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { streamChat } = require('./chat-stream');
+const { abortOnDisconnect } = require('./abort');
+const { validateOptions, sendValidationError } = require('./validation');
+
+/**
+ * Rebuilds a toolkit ConversationImpl from a stored record.
+ * ConversationImpl has no import method and addMessage would restamp every message
+ * with the current time, so the stored history (with its original timestamps) is
+ * assigned to the conversation's message list directly.
+ * @param {import('./providers').ProviderRegistry} providers - The provider registry.
+ * @param {object} record - The stored conversation record.
+ * @returns {object} A ConversationImpl bound to the record's provider.
+ */
+function restoreConversation(providers, record) {
+    const conversation = providers.get(record.provider).createConversation();
+    conversation.messages = record.messages.map((message) => ({ ...message }));
+    return conversation;
+}
+
+/**
+ * Checks whether a conversation belongs to the user making the request. Conversations
+ * created without signing in belong to nobody and are shared by anonymous users.
+ * @param {object} record - The stored conversation record.
+ * @param {import('express').Request} req - The request (req.user is set by server/auth.js).
+ * @returns {boolean} Whether the requester may see and change the conversation.
+ */
+function isOwner(record, req) {
+    return (record.owner || null) === (req.user?.id || null);
+}
+
+/**
+ * Sends a 500 response for an unexpected storage failure.
+ * @param {import('express').Response} res - The Express response.
+ * @param {Error} error - The caught error.
+ */
+function sendStoreError(res, error) {
+    console.error('Conversation store error:', error);
+    res.status(500).json({ error: 'Could not access the conversation store.' });
+}
+
+/**
+ * Creates the router for the /conversations routes.
+ * @param {object} deps
+ * @param {import('./providers').ProviderRegistry} deps.providers - The provider registry.
+ * @param {object} deps.store - A conversation store (see server/conversation-store.js).
+ * @param {import('./context-window').ContextWindow} deps.contextWindow - Fits histories to the context window.
+ * @param {import('./summarizer').ConversationSummarizer} deps.summarizer - Keeps the running summary of long conversations.
+ * @param {import('./metering').UsageMeter} deps.meter - Enforces per-user quotas on chat turns.
+ * @param {object} deps.requestLimits - The `requestLimits` config section (see server/validation.js).
+ * @param {import('./rag').DocumentRetriever} deps.retriever - Finds course document excerpts for each turn.
+ * @returns {import('express').Router} The router, to be mounted at /conversations.
+ */
+function createConversationRouter({ providers, store, contextWindow, summarizer, meter, requestLimits, retriever }) {
+    const router = express.Router();
+    const activeStreams = new Set(); // Conversation ids with a turn in progress
+
+    router.post('/', async (req, res) => {
+        const { provider, systemPrompt, options = {} } = req.body || {};
+        if (provider !== undefined && !providers.has(provider)) {
+            return res.status(400).json({ error: `Unknown provider '${provider}'.` });
+        }
+        if (systemPrompt !== undefined && typeof systemPrompt !== 'string') {
+            return res.status(400).json({ error: 'Invalid request body: systemPrompt must be a string.' });
+        }
+        const problems = validateOptions(options, requestLimits);
+        if (problems.length > 0) {
+            return sendValidationError(res, problems);
+        }
+
+        const name = provider || providers.defaultProvider;
+        const conversation = providers.get(name).createConversation();
+        if (systemPrompt) {
+            conversation.addMessage('system', systemPrompt);
+        }
+
+        const now = new Date().toISOString();
+        const record = {
+            id: randomUUID(),
+            owner: req.user?.id || null, // Only this user can see the conversation
+            provider: name,
+            options, // Default LLM options (temperature, maxTokens, model) for every turn
+            createdAt: now,
+            updatedAt: now,
+            messages: conversation.getHistory(),
+        };
+
+        try {
+            await store.save(record);
+            res.status(201).json(record);
+        } catch (error) {
+            sendStoreError(res, error);
+        }
+    });
+
+    router.get('/', async (req, res) => {
+        try {
+            const conversations = await store.list();
+            res.json({ conversations: conversations.filter((record) => isOwner(record, req)) });
+        } catch (error) {
+            sendStoreError(res, error);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        try {
+            const record = await store.get(req.params.id);
+            // Someone else's conversation is reported as missing, so ids cannot be probed
+            if (!record || !isOwner(record, req)) {
+                return res.status(404).json({ error: 'Conversation not found.' });
+            }
+            res.json(record);
+        } catch (error) {
+            sendStoreError(res, error);
+        }
+    });
+
+    /**
+     * Answers 400 unless the body is a valid new turn, `{ content, options? }`.
+     * Runs before the meter, as on /chat, so malformed requests do not use up a quota.
+     * @type {import('express').RequestHandler}
+     */
+    function validateTurn(req, res, next) {
+        const { content, options = {} } = req.body || {};
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'Invalid request body: content must be a non-empty string.' });
+        }
+        const problems = validateOptions(options, requestLimits);
+        if (content.length > requestLimits.maxChars) {
+            problems.push({ field: 'content', message: `must be at most ${requestLimits.maxChars} characters long` });
+        }
+        if (problems.length > 0) {
+            return sendValidationError(res, problems);
+        }
+        next();
+    }
+
+    // Adds a user message and streams the assistant's reply, exactly like /chat
+    router.post('/:id/messages', validateTurn, meter.middleware(), async (req, res) => {
+        const { id } = req.params;
+        const { content, options = {} } = req.body;
+        // Two turns at once would interleave their messages in the history. The id is
+        // claimed before the first await, so a second request cannot slip in between.
+        if (activeStreams.has(id)) {
+            return res.status(409).json({ error: 'A reply is already being generated for this conversation.' });
+        }
+        activeStreams.add(id);
+
+        let record;
+        try {
+            record = await store.get(id);
+        } catch (error) {
+            activeStreams.delete(id);
+            return sendStoreError(res, error);
+        }
+        if (!record || !isOwner(record, req)) {
+            activeStreams.delete(id);
+            return res.status(404).json({ error: 'Conversation not found.' });
+        }
+        if (!providers.has(record.provider)) {
+            activeStreams.delete(id);
+            return res.status(409).json({ error: `The provider '${record.provider}' of this conversation is no longer configured.` });
+        }
+
+        try {
+            const conversation = restoreConversation(providers, record);
+            conversation.addMessage('user', content);
+
+            // ConversationImpl.stream would send the whole history, so the trimmed history is
+            // streamed through the LLMModule directly and the reply is added afterwards.
+            const turnOptions = { ...record.options, ...options };
+            const llmModule = providers.get(record.provider);
+            const sources = await retriever.retrieve(conversation.getHistory());
+            const abortController = abortOnDisconnect(res); // Also stops the summary call
+            const prepared = await summarizer.prepare(llmModule, conversation.getHistory(), record.summary, turnOptions, { signal: abortController.signal });
+            if (prepared.usage) {
+                meter.record(res.locals.meterUserId, prepared.usage, { request: false }); // A refreshed summary cost tokens too
+            }
+            const context = contextWindow.fit(record.provider, retriever.withSources(prepared.messages, sources), turnOptions);
+            const result = await streamChat(res, {
+                provider: record.provider,
+                context,
+                summary: prepared.refreshed ? prepared.summary : undefined,
+                sources,
+                abortController,
+                estimateUsage: (reply) => contextWindow.estimateUsage(record.provider, context.messages, reply),
+                run: (callback, signal) => llmModule.streamConversation(
+                    context.messages,
+                    callback,
+                    { ...turnOptions, signal }
+                ),
+            });
+            contextWindow.calibrate(record.provider, context.messages, result.response?.usage);
+            meter.record(res.locals.meterUserId, result.usage); // Estimated if the client cancelled
+            if (result.content && !result.error) {
+                // A cancelled turn keeps its partial answer, as the browser does
+                conversation.addMessage('assistant', result.content);
+            }
+
+            await store.save({
+                ...record,
+                messages: conversation.getHistory(),
+                ...(prepared.summary && { summary: prepared.summary }),
+                updatedAt: new Date().toISOString(),
+            });
+        } catch (error) {
+            if (!res.headersSent) {
+                // Failed before the reply started streaming (e.g. an unreadable document index)
+                console.error('Could not prepare conversation turn:', error);
+                return res.status(500).json({ error: 'An error occurred while preparing the chat turn.' });
+            }
+            // The response has already been streamed; only log failures to save it
+            console.error('Could not save conversation turn:', error);
+        } finally {
+            activeStreams.delete(id);
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const record = await store.get(req.params.id);
+            const deleted = record && isOwner(record, req) && await store.delete(req.params.id);
+            if (!deleted) {
+                return res.status(404).json({ error: 'Conversation not found.' });
+            }
+            res.status(204).end();
+        } catch (error) {
+            sendStoreError(res, error);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createConversationRouter };
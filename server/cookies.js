@@ -0,0 +1,26 @@
+// server/cookies.js - Cookie parsing shared by the session and CSRF cookies
+
+/**
+ * Parses a Cookie header. A value that is not valid percent-encoding is kept as it is:
+ * other applications on the same host may set such cookies, and they must not break
+ * every request.
+ * @param {string | undefined} header - The Cookie header.
+ * @returns {Record<string, string>} Cookie values by name.
+ */
+function parseCookies(header) {
+    const cookies = {};
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1) continue;
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch {
+            cookies[name] = value; // URIError: malformed percent-encoding
+        }
+    }
+    return cookies;
+}
+
+module.exports = { parseCookies };
@@ -0,0 +1,80 @@
+// server/csrf.js - Cross-site request forgery protection
+
+// --- Why? ---
+// Once users sign in with a session cookie, the browser attaches that cookie to every
+// request to the backend, including requests started by other web sites. CORS only
+// stops other sites from *reading* responses; a forged POST is still sent. Two checks
+// guard every state-changing request (anything but GET, HEAD and OPTIONS):
+//   1. Origin: a request from a browser page must come from this server's own origin
+//      or from an origin in the CORS allowlist.
+//   2. Token: a request that carries the session cookie must also send the CSRF token
+//      in the X-CSRF-Token header. The token is kept in an HttpOnly cookie and handed
+//      to the frontend by GET /auth/me, which other sites cannot read (CORS).
+// Requests authenticated with an API token carry no cookie, so they need neither.
+
+const { randomBytes } = require('crypto');
+const { parseCookies } = require('./cookies');
+
+const CSRF_COOKIE = 'tcd_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+/**
+ * Returns the browser's CSRF token, setting a new one if it has none yet.
+ * @param {import('express').Request} req - The request.
+ * @param {import('express').Response} res - The response, to set the cookie on.
+ * @param {{ secure: boolean, path: string }} cookieOptions - Whether the cookie is HTTPS-only, and its path.
+ * @returns {string} The token the frontend must send in the X-CSRF-Token header.
+ */
+function issueCsrfToken(req, res, { secure, path }) {
+    const existing = parseCookies(req.headers.cookie)[CSRF_COOKIE];
+    if (existing && /^[\w-]{43}$/.test(existing)) {
+        return existing;
+    }
+    const token = randomBytes(32).toString('base64url');
+    res.cookie(CSRF_COOKIE, token, { httpOnly: true, sameSite: 'lax', secure, path });
+    return token;
+}
+
+/**
+ * Determines the origin a request came from: the Origin header, or the Referer's
+ * origin when a browser sends no Origin.
+ * @param {import('express').Request} req - The request.
+ * @returns {string | null} The origin, or null for non-browser clients.
+ */
+function requestOrigin(req) {
+    if (req.headers.origin) return req.headers.origin;
+    try {
+        return req.headers.referer ? new URL(req.headers.referer).origin : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Creates the CSRF middleware.
+ * @param {object} settings
+ * @param {string[]} settings.allowedOrigins - The CORS allowlist ('*' allows any origin).
+ * @param {string} settings.sessionCookie - Name of the session cookie that requires a token.
+ * @returns {import('express').RequestHandler} The middleware.
+ */
+function csrfProtection({ allowedOrigins, sessionCookie }) {
+    return (req, res, next) => {
+        if (SAFE_METHODS.has(req.method)) return next();
+
+        const origin = requestOrigin(req);
+        const ownOrigin = `${req.protocol}://${req.get('host')}`;
+        if (origin && origin !== ownOrigin && !allowedOrigins.includes(origin) && !allowedOrigins.includes('*')) {
+            console.warn(`Refused ${req.method} ${req.originalUrl} from origin ${origin}.`);
+            return res.status(403).json({ error: 'Cross-origin request refused.' });
+        }
+
+        const cookies = parseCookies(req.headers.cookie);
+        if (cookies[sessionCookie] && (!cookies[CSRF_COOKIE] || req.get(CSRF_HEADER) !== cookies[CSRF_COOKIE])) {
+            return res.status(403).json({ error: 'Missing or invalid CSRF token. Reload the page and try again.' });
+        }
+        next();
+    };
+}
+
+module.exports = { csrfProtection, issueCsrfToken };
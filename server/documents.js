@@ -0,0 +1,190 @@
+// server/documents.js - The /documents routes: manage the course documents used for RAG
+
+// --- Routes ---
+//   GET    /documents                 -> { documents: [summary] }
+//   POST   /documents?name=<file>     -> upload a file (the raw request body) and index it
+//   GET    /documents/:id             -> the document with the text of its chunks
+//   PUT    /documents/:id[?name=...]  -> replace the file, re-indexing it
+//   DELETE /documents/:id
+//
+// Files are sent as the request body with their own Content-Type (application/pdf,
+// text/markdown, text/plain), not as multipart form data, so no upload library is
+// needed: `fetch('/documents?name=syllabus.pdf', { method: 'POST', body: file })`.
+//
+// --- Who sees what ---
+// The documents are shared course material: every user's chat turns are answered from
+// all of them, and everyone can list them. Only the user who uploaded a document can
+// replace or delete it (anyone, for documents uploaded without signing in).
+
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { ToolkitError } = require('@ubc-genai-toolkit/core');
+const { DocumentError, documentType } = require('./rag');
+const { statusCodeFor } = require('./chat-stream');
+
+/**
+ * @param {object} document - A stored document or its summary.
+ * @param {import('express').Request} req - The request.
+ * @returns {boolean} Whether the requesting user may replace or delete the document.
+ */
+function canModify(document, req) {
+    return !document.owner || document.owner === (req.user?.id || null);
+}
+
+/**
+ * Answers a failed upload: unreadable files with 422, toolkit errors (e.g. a provider
+ * without embeddings, 501) with their own status, anything else with 500.
+ * @param {import('express').Response} res - The response.
+ * @param {Error} error - The error from DocumentRetriever.ingest.
+ */
+function sendIngestError(res, error) {
+    if (error instanceof DocumentError) {
+        return res.status(422).json({ error: error.message });
+    }
+    console.error('Could not index document:', error);
+    const message = error instanceof ToolkitError ? `Could not embed the document: ${error.message}` : 'Could not index the document.';
+    res.status(statusCodeFor(error)).json({ error: message });
+}
+
+/**
+ * Creates the router for the /documents routes.
+ * @param {object} deps
+ * @param {import('./vector-index').JsonFileVectorIndex} deps.index - The vector index.
+ * @param {import('./rag').DocumentRetriever} deps.retriever - Extracts, chunks and embeds uploads.
+ * @param {number} deps.maxUploadMB - Largest file that can be uploaded, in megabytes.
+ * @returns {import('express').Router} The router, to be mounted at /documents.
+ */
+function createDocumentRouter({ index, retriever, maxUploadMB }) {
+    const router = express.Router();
+    // Reads any upload as a Buffer; the file type is checked from its name and Content-Type
+    const readFile = express.raw({ type: () => true, limit: `${maxUploadMB}mb` });
+
+    /**
+     * Checks an upload and works out its name and type.
+     * @param {import('express').Request} req - The request.
+     * @param {string} [currentName] - The document's name, when replacing it.
+     * @returns {{ name: string, type: string } | { error: string, status: number }} The upload, or why it was refused.
+     */
+    function describeUpload(req, currentName) {
+        const name = String(req.query.name || currentName || '').trim();
+        if (!name) {
+            return { status: 400, error: 'The file name is required (?name=syllabus.pdf).' };
+        }
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return { status: 400, error: 'The request body must be the file to upload.' };
+        }
+        const type = documentType(name, req.get('Content-Type'));
+        if (!type) {
+            return { status: 415, error: `Unsupported file type for '${name}'. Upload PDF, Markdown or text files.` };
+        }
+        return { name, type };
+    }
+
+    /**
+     * Looks up the document named in the URL, answering 404 (or 500) when it cannot.
+     * @param {import('express').Request} req - The request.
+     * @param {import('express').Response} res - The response.
+     * @returns {Promise<object | undefined>} The document, or undefined when a response was sent.
+     */
+    async function findDocument(req, res) {
+        try {
+            const document = await index.get(req.params.id);
+            if (!document) {
+                res.status(404).json({ error: 'Document not found.' });
+            }
+            return document;
+        } catch (error) {
+            console.error('Could not read the document index:', error);
+            res.status(500).json({ error: 'Could not read the document index.' });
+            return undefined;
+        }
+    }
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ documents: await index.list() });
+        } catch (error) {
+            console.error('Could not read the document index:', error);
+            res.status(500).json({ error: 'Could not read the document index.' });
+        }
+    });
+
+    router.post('/', readFile, async (req, res) => {
+        const upload = describeUpload(req);
+        if (upload.error) {
+            return res.status(upload.status).json({ error: upload.error });
+        }
+        try {
+            const document = await retriever.ingest({
+                id: randomUUID(),
+                ...upload,
+                content: req.body,
+                owner: req.user?.id || null,
+            });
+            console.log(`Indexed document '${document.name}' (${document.chunkCount} chunks). User: ${req.user?.username || 'anonymous'}`);
+            res.status(201).json(document);
+        } catch (error) {
+            sendIngestError(res, error);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        const document = await findDocument(req, res);
+        if (!document) return;
+        const { chunks, ...fields } = document;
+        res.json({ ...fields, chunks: chunks.map(({ index: chunkIndex, text }) => ({ index: chunkIndex, text })) });
+    });
+
+    router.put('/:id', readFile, async (req, res) => {
+        const current = await findDocument(req, res);
+        if (!current) return;
+        if (!canModify(current, req)) {
+            return res.status(403).json({ error: 'Only the user who uploaded this document can replace it.' });
+        }
+        const upload = describeUpload(req, current.name);
+        if (upload.error) {
+            return res.status(upload.status).json({ error: upload.error });
+        }
+        try {
+            const document = await retriever.ingest({
+                id: current.id,
+                ...upload,
+                content: req.body,
+                owner: current.owner,
+                createdAt: current.createdAt,
+            });
+            console.log(`Re-indexed document '${document.name}' (${document.chunkCount} chunks).`);
+            res.json(document);
+        } catch (error) {
+            sendIngestError(res, error);
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        const current = await findDocument(req, res);
+        if (!current) return;
+        if (!canModify(current, req)) {
+            return res.status(403).json({ error: 'Only the user who uploaded this document can delete it.' });
+        }
+        try {
+            await index.delete(current.id);
+            console.log(`Deleted document '${current.name}'.`);
+            res.status(204).end();
+        } catch (error) {
+            console.error('Could not delete document:', error);
+            res.status(500).json({ error: 'Could not delete the document.' });
+        }
+    });
+
+    // Uploads over the size limit are refused by express.raw; answer with JSON like the other errors
+    router.use((error, req, res, next) => {
+        if (error.type === 'entity.too.large') {
+            return res.status(413).json({ error: `The file is too large (at most ${maxUploadMB} MB).` });
+        }
+        next(error);
+    });
+
+    return router;
+}
+
+module.exports = { createDocumentRouter };
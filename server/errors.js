@@ -0,0 +1,194 @@
+// server/errors.js - Specific LLM errors and the machine-readable codes sent to clients
+
+// --- Why? ---
+// The toolkit's providers turn almost every failure into an APIError, often with code
+// 500, so the chat could only say "LLM Error: ..." with the provider's raw message.
+// A student cannot act on "Ollama API Error: model 'x' not found, try pulling it first",
+// and the retry and failover logic cannot tell a rate limit from a bad request.
+//
+// The registry therefore wraps every provider in an ErrorClassifierAdapter (see
+// server/adapter.js). It reads the status, SDK error name and message of the provider's
+// APIError and throws one of the ToolkitError subclasses below instead:
+//   RateLimitError               429  the provider is rate limiting us (with retryAfter)
+//   TimeoutError                 504  the provider took too long to answer
+//   ContextLengthExceededError   400  the prompt does not fit the model's context
+//   ModelNotFoundError           404  the model does not exist (or is not pulled, for Ollama)
+//   ContentFilteredError         400  the provider refused the prompt or reply on policy grounds
+// Connection failures become the toolkit's NetworkError (503), which are retried and
+// failed over (see server/retry.js and server/failover.js).
+//
+// --- Error codes ---
+// The chat routes send `errorCode` next to the error message (see errorCodeFor), so the
+// frontend can show a message the student can act on. The codes are part of the API:
+//   rate_limited, timeout, context_length_exceeded, model_not_found, content_filtered,
+//   provider_unavailable, provider_auth_failed, not_supported, invalid_request,
+//   llm_error (any other provider failure), internal_error (a bug in the backend)
+
+const { ToolkitError, APIError, AuthenticationError, NetworkError } = require('@ubc-genai-toolkit/core');
+const { LLMModuleAdapter } = require('./adapter');
+
+class RateLimitError extends ToolkitError {
+    /**
+     * @param {string} message - The error message.
+     * @param {object} [details] - Extra details; `retryAfter` is the wait the provider asked for, in seconds.
+     */
+    constructor(message, details) {
+        super(message, 429, details);
+        this.retryAfter = details?.retryAfter;
+    }
+}
+
+class TimeoutError extends ToolkitError {
+    constructor(message, details) {
+        super(message, 504, details);
+    }
+}
+
+class ContextLengthExceededError extends ToolkitError {
+    constructor(message, details) {
+        super(message, 400, details);
+    }
+}
+
+class ModelNotFoundError extends ToolkitError {
+    constructor(message, details) {
+        super(message, 404, details);
+    }
+}
+
+class ContentFilteredError extends ToolkitError {
+    constructor(message, details) {
+        super(message, 400, details);
+    }
+}
+
+const SPECIFIC_ERRORS = [RateLimitError, TimeoutError, ContextLengthExceededError, ModelNotFoundError, ContentFilteredError];
+
+/**
+ * Reads how long a provider asked us to wait, from a `retryAfter` detail (seconds) or a
+ * Retry-After header kept on the original SDK error.
+ * @param {Error} error - The failed call's error.
+ * @returns {number | undefined} The wait in milliseconds, if the provider gave one.
+ */
+function retryAfterMs(error) {
+    if (typeof error?.details?.retryAfter === 'number') {
+        return error.details.retryAfter * 1000;
+    }
+    const headers = error?.details?.originalError?.headers || error?.details?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value); // Retry-After may also be an HTTP date
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Maps a provider's error onto the specific classes above, or NetworkError for a
+ * provider that cannot be reached. Other errors are returned unchanged.
+ * @param {Error} error - The error thrown by an LLMModule call.
+ * @returns {Error} The classified error; its `details.cause` is the original error.
+ */
+function classifyError(error) {
+    if (!(error instanceof APIError) || SPECIFIC_ERRORS.some((type) => error instanceof type)) {
+        return error;
+    }
+    const original = error.details?.originalError;
+    const name = error.details?.errorName || error.details?.type || original?.name || '';
+    const code = String(error.details?.code || original?.code || original?.error?.code || '');
+    const systemCode = original?.cause?.code || original?.code || '';
+    const message = error.message;
+    const details = { ...error.details, cause: error };
+
+    if (/Timeout/.test(name) || error.code === 408 || error.code === 504 || /timed? ?out|ETIMEDOUT|UND_ERR_\w*TIMEOUT/i.test(`${message} ${systemCode}`)) {
+        return new TimeoutError(`The provider did not answer in time: ${message}`, details);
+    }
+    if (name === 'APIConnectionError' || /ECONNREFUSED|ENOTFOUND|ECONNRESET|EAI_AGAIN/.test(systemCode) || /fetch failed|ECONNREFUSED/i.test(message)) {
+        return new NetworkError(`The provider could not be reached: ${message}`, details);
+    }
+    if (error.code === 429 || name === 'RateLimitError') {
+        const wait = retryAfterMs(error);
+        return new RateLimitError(message, { ...details, retryAfter: wait !== undefined ? Math.ceil(wait / 1000) : undefined });
+    }
+    if (code === 'context_length_exceeded' || /context length|context window|maximum context|prompt is too long|too many tokens/i.test(message)) {
+        return new ContextLengthExceededError(message, details);
+    }
+    if (/content_filter|content_policy/.test(code) || /content (filter|policy|management)|safety system/i.test(message)) {
+        return new ContentFilteredError(message, details);
+    }
+    if (code === 'model_not_found' || /model\b.*\b(not found|does not exist)|try pulling it/i.test(message) || (error.code === 404 && /model/i.test(message))) {
+        return new ModelNotFoundError(message, details);
+    }
+    return error;
+}
+
+/**
+ * @param {Error} error - An error from an LLM call (classified or not).
+ * @returns {string} The stable machine-readable code for it (see "Error codes" above).
+ */
+function errorCodeFor(error) {
+    if (error instanceof RateLimitError) return 'rate_limited';
+    if (error instanceof TimeoutError) return 'timeout';
+    if (error instanceof ContextLengthExceededError) return 'context_length_exceeded';
+    if (error instanceof ModelNotFoundError) return 'model_not_found';
+    if (error instanceof ContentFilteredError) return 'content_filtered';
+    if (!(error instanceof ToolkitError)) return 'internal_error';
+    if (error instanceof NetworkError || error.code === 502 || error.code === 503 || error.code === 529) return 'provider_unavailable';
+    if (error instanceof AuthenticationError || error.code === 401 || error.code === 403) return 'provider_auth_failed';
+    if (error.code === 501) return 'not_supported';
+    if (error.code >= 400 && error.code < 500) return 'invalid_request';
+    return 'llm_error';
+}
+
+/**
+ * Wraps an LLMModule so its calls fail with the specific errors above. Successful calls
+ * are passed straight through.
+ */
+class ErrorClassifierAdapter extends LLMModuleAdapter {
+    /**
+     * Runs a call, classifying the error if it fails.
+     * @param {() => Promise<any>} call - The call.
+     * @returns {Promise<any>} What the call resolved with.
+     */
+    async run(call) {
+        try {
+            return await call();
+        } catch (error) {
+            throw classifyError(error);
+        }
+    }
+
+    // --- Calls, failing with classified errors ---
+
+    sendConversation(messages, options) {
+        return this.run(() => super.sendConversation(messages, options));
+    }
+
+    streamConversation(messages, callback, options) {
+        return this.run(() => super.streamConversation(messages, callback, options));
+    }
+
+    sendMessage(message, options) {
+        return this.run(() => super.sendMessage(message, options));
+    }
+
+    embed(texts, options) {
+        return this.run(() => super.embed(texts, options));
+    }
+
+    getAvailableModels() {
+        return this.run(() => super.getAvailableModels());
+    }
+}
+
+module.exports = {
+    RateLimitError,
+    TimeoutError,
+    ContextLengthExceededError,
+    ModelNotFoundError,
+    ContentFilteredError,
+    ErrorClassifierAdapter,
+    classifyError,
+    errorCodeFor,
+    retryAfterMs,
+};
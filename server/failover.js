@@ -0,0 +1,107 @@
+// server/failover.js - Failover from a provider to its fallbacks when it is down
+
+// --- Why? ---
+// A course may run on a local Ollama server with the UBC LLM Sandbox as a backup. While
+// the Ollama box reboots, every chat failed with an APIError. A provider configured with
+// `fallbacks` (names of other configured providers, in order) is wrapped in a
+// FailoverAdapter, which tries the next provider when one fails with a NetworkError or a
+// 5xx error (including an open circuit breaker, see server/retry.js). Failures that are
+// the request's fault (4xx) are returned as they are, since another provider would
+// refuse the request too.
+//
+// Streams only fail over before their first chunk. The `model` option names a model of
+// the primary provider, so fallbacks use their own default model. Embeddings never fail
+// over: vectors from different models cannot be compared (see server/vector-index.js).
+//
+// The response's metadata records which provider answered (`answeredBy`), and which one
+// it stood in for (`failoverFrom`), so the chat can label the reply.
+
+const { NetworkError, ToolkitError } = require('@ubc-genai-toolkit/core');
+const { LLMModuleAdapter } = require('./adapter');
+
+/**
+ * @param {Error} error - A failed call's error.
+ * @returns {boolean} Whether the provider seems to be down, rather than the request at fault.
+ */
+function isProviderDown(error) {
+    return error instanceof NetworkError || (error instanceof ToolkitError && error.code >= 500 && error.code < 600);
+}
+
+/**
+ * Tries an ordered list of providers until one answers. Every other method is passed to
+ * the primary provider.
+ */
+class FailoverAdapter extends LLMModuleAdapter {
+    /**
+     * @param {Array<{ name: string, module: object }>} chain - The primary provider, then its fallbacks.
+     */
+    constructor(chain) {
+        super(chain[0].module);
+        this.chain = chain;
+    }
+
+    /**
+     * Makes a call on each provider in turn until one succeeds.
+     * @param {(module: object, isPrimary: boolean) => Promise<object>} call - Makes the call on one provider.
+     * @param {object} [params]
+     * @param {AbortSignal} [params.signal] - Stops failing over when the client goes away.
+     * @param {() => boolean} [params.canFailOver] - Checked after a failure; false once a stream has started.
+     * @returns {Promise<object>} The LLMResponse, with `answeredBy` (and `failoverFrom`) in its metadata.
+     */
+    async run(call, { signal, canFailOver = () => true } = {}) {
+        for (let i = 0; ; i++) {
+            const { name, module } = this.chain[i];
+            try {
+                const response = await call(module, i === 0);
+                return {
+                    ...response,
+                    metadata: {
+                        ...response?.metadata,
+                        answeredBy: name,
+                        ...(i > 0 && { failoverFrom: this.chain[0].name }),
+                    },
+                };
+            } catch (error) {
+                const next = this.chain[i + 1];
+                if (!next || !isProviderDown(error) || signal?.aborted || !canFailOver()) {
+                    throw error;
+                }
+                console.warn(`Provider '${name}' failed (${error.message}); trying '${next.name}'.`);
+            }
+        }
+    }
+
+    /**
+     * @param {object[]} messages - The conversation.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The LLMResponse.
+     */
+    sendConversation(messages, options = {}) {
+        const { model, ...fallbackOptions } = options;
+        return this.run(
+            (module, isPrimary) => module.sendConversation(messages, isPrimary ? options : fallbackOptions),
+            { signal: options.signal }
+        );
+    }
+
+    /**
+     * @param {object[]} messages - The conversation.
+     * @param {(chunk: string) => void} callback - Receives each chunk of text.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The final LLMResponse.
+     */
+    streamConversation(messages, callback, options = {}) {
+        const { model, ...fallbackOptions } = options;
+        let started = false;
+        const onChunk = (chunk) => {
+            started = true;
+            callback(chunk);
+        };
+        return this.run(
+            (module, isPrimary) => module.streamConversation(messages, onChunk, isPrimary ? options : fallbackOptions),
+            { signal: options.signal, canFailOver: () => !started }
+        );
+    }
+}
+
+module.exports = { FailoverAdapter, isProviderDown };
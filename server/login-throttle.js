@@ -0,0 +1,93 @@
+// server/login-throttle.js - Limits on failed sign-in attempts
+
+// --- Why? ---
+// Without a limit, POST /auth/login lets anyone guess passwords as fast as the server
+// answers. Failed attempts are counted over a sliding window:
+//   - per client IP address  (one client trying many accounts)
+//   - per username           (many clients trying one account)
+// Once either count reaches its limit, further attempts are refused with HTTP 429 and a
+// Retry-After header until the oldest failure leaves the window. A successful sign-in
+// clears the failures of that username, but not of the IP address, so an attacker with
+// one valid account cannot reset their own count. A limit of 0 disables that check.
+// Counts are kept in memory, like the usage quotas (server/metering.js).
+
+/**
+ * Counts failed sign-ins per client and per username, and refuses attempts over the limits.
+ */
+class LoginThrottle {
+    /**
+     * @param {object} limits
+     * @param {number} limits.failuresPerIp - Failed sign-ins per client IP within the window (0 = unlimited).
+     * @param {number} limits.failuresPerUsername - Failed sign-ins per username within the window (0 = unlimited).
+     * @param {number} limits.windowMs - Length of the sliding window, in milliseconds.
+     * @param {() => number} [now] - Clock, in milliseconds since the epoch.
+     */
+    constructor({ failuresPerIp, failuresPerUsername, windowMs }, now = Date.now) {
+        this.limits = { failuresPerIp, failuresPerUsername };
+        this.windowMs = windowMs;
+        this.now = now;
+        this.failures = new Map(); // 'ip:<address>' or 'user:<username>' -> [times], oldest first
+    }
+
+    /**
+     * @param {string} ip - The client IP address.
+     * @param {string} username - The username tried.
+     * @returns {Array<[string, number]>} The keys an attempt is counted under, with their limits.
+     */
+    keysFor(ip, username) {
+        return [[`ip:${ip}`, this.limits.failuresPerIp], [`user:${username}`, this.limits.failuresPerUsername]];
+    }
+
+    /**
+     * @param {string} key - A key from keysFor.
+     * @returns {number[]} The times of its failures within the window.
+     */
+    recent(key) {
+        const cutoff = this.now() - this.windowMs;
+        return (this.failures.get(key) || []).filter((time) => time > cutoff);
+    }
+
+    /**
+     * Checks whether a sign-in attempt may go ahead.
+     * @param {string} ip - The client IP address.
+     * @param {string} username - The username tried.
+     * @returns {{ allowed: true } | { allowed: false, retryAfterSeconds: number }}
+     */
+    check(ip, username) {
+        for (const [key, limit] of this.keysFor(ip, username)) {
+            const times = this.recent(key);
+            if (limit > 0 && times.length >= limit) {
+                // Allowed again once enough failures have left the window to drop below the limit
+                const freedAt = times[times.length - limit] + this.windowMs;
+                return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((freedAt - this.now()) / 1000)) };
+            }
+        }
+        return { allowed: true };
+    }
+
+    /**
+     * Counts a failed sign-in.
+     * @param {string} ip - The client IP address.
+     * @param {string} username - The username tried.
+     */
+    failed(ip, username) {
+        // Forget keys whose failures have all left the window, so the map does not keep
+        // every address and username ever tried
+        for (const key of this.failures.keys()) {
+            if (this.recent(key).length === 0) this.failures.delete(key);
+        }
+        for (const [key] of this.keysFor(ip, username)) {
+            this.failures.set(key, [...this.recent(key), this.now()]);
+        }
+    }
+
+    /**
+     * Clears the failures of a username after it signed in.
+     * @param {string} username - The username.
+     */
+    succeeded(username) {
+        this.failures.delete(`user:${username}`);
+    }
+}
+
+module.exports = { LoginThrottle };
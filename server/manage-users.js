@@ -0,0 +1,73 @@
+// server/manage-users.js - Command-line tool for local accounts and API tokens
+//
+//   npm run users -- add <username> [display name]   (asks for the password)
+//   npm run users -- token <username> <token name>   (prints a new API token once)
+//   npm run users -- list
+//   (add `--config <path>` to use a config file)
+//
+// Uses the same configuration as the server (config file and environment variables),
+// so accounts are written to its `auth.usersFile`.
+
+const readline = require('readline');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { JsonFileUserStore } = require('./user-store');
+
+/**
+ * Asks for a password without echoing it to the terminal.
+ * @param {string} question - The prompt.
+ * @returns {Promise<string>} The answer.
+ */
+function askHidden(question) {
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        process.stdout.write(question);
+        rl._writeToOutput = () => {}; // Do not echo the typed characters
+        rl.question('', (answer) => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+async function main([command, ...args]) {
+    const config = loadConfig();
+    const users = new JsonFileUserStore(path.resolve(config.auth.usersFile));
+
+    switch (command) {
+        case 'add': {
+            const [username, ...displayName] = args;
+            if (!username) throw new Error('Usage: add <username> [display name]');
+            const password = await askHidden(`Password for ${username}: `);
+            if (password.length < 8) throw new Error('The password must be at least 8 characters long.');
+            const user = await users.addUser(username, password, displayName.join(' ') || undefined);
+            console.log(`Added user '${user.username}' (${user.id}).`);
+            break;
+        }
+        case 'token': {
+            const [username, ...name] = args;
+            if (!username || name.length === 0) throw new Error('Usage: token <username> <token name>');
+            const token = await users.createToken(username, name.join(' '));
+            console.log(`API token for ${username} (shown only once):\n${token}`);
+            break;
+        }
+        case 'list':
+            for (const user of await users.readUsers()) {
+                console.log(`${user.username}\t${user.displayName}\t${(user.tokens || []).length} token(s)`);
+            }
+            break;
+        default:
+            throw new Error('Commands: add <username> [display name] | token <username> <token name> | list');
+    }
+}
+
+// `--config <path>` is read by loadConfig; the remaining arguments are the command
+const args = process.argv.slice(2);
+const configFlag = args.indexOf('--config');
+if (configFlag !== -1) args.splice(configFlag, 2);
+
+main(args).catch((error) => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,197 @@
+// server/metering.js - Usage metering and per-user quotas
+
+// --- Why metering? ---
+// The demo talks to a shared Ollama server or a shared Sandbox quota, so one user
+// should not be able to use it all. Every chat turn is counted per user:
+//   - requests per minute   (sliding one-minute window)
+//   - tokens per day        (prompt + completion tokens from LLMResponse.usage, per UTC day)
+//   - concurrent streams    (replies being generated at the same time)
+// A request over any limit is refused with HTTP 429 and a Retry-After header before
+// the LLM is called. A limit of 0 disables that check.
+//
+// --- Who is a "user"? ---
+// The authenticated user id when there is one (req.user), otherwise the client's IP
+// address. Counts are kept in memory, so they reset when the server restarts. Users with
+// nothing left to count (no reply in progress, no request in the last minute and no
+// usage today) are dropped once a minute, so every address that ever made a request is
+// not kept forever.
+
+const MINUTE_MS = 60 * 1000;
+const CONCURRENCY_RETRY_SECONDS = 5; // A running reply usually finishes within seconds
+
+/**
+ * Identifies the user a request is metered against.
+ * @param {import('express').Request} req - The request.
+ * @returns {string} The user id, or the client IP address for anonymous requests.
+ */
+function userIdFor(req) {
+    return req.user?.id || `ip:${req.ip}`;
+}
+
+/**
+ * @param {number} time - Milliseconds since the epoch.
+ * @returns {string} The UTC day, e.g. '2024-05-01'.
+ */
+function dayOf(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Records usage per user and per day, and enforces the configured limits.
+ */
+class UsageMeter {
+    /**
+     * @param {object} limits
+     * @param {number} limits.requestsPerMinute - Chat requests per user per minute (0 = unlimited).
+     * @param {number} limits.tokensPerDay - Prompt plus completion tokens per user per UTC day (0 = unlimited).
+     * @param {number} limits.maxConcurrentStreams - Replies generated at once per user (0 = unlimited).
+     * @param {() => number} [now] - Clock, in milliseconds since the epoch.
+     */
+    constructor({ requestsPerMinute, tokensPerDay, maxConcurrentStreams }, now = Date.now) {
+        this.limits = { requestsPerMinute, tokensPerDay, maxConcurrentStreams };
+        this.now = now;
+        this.users = new Map(); // User id -> { requests: [times], active, days: Map(day -> usage) }
+        this.prunedAt = now();
+    }
+
+    /**
+     * Drops the users with nothing left to count, at most once a minute.
+     */
+    prune() {
+        const now = this.now();
+        if (now - this.prunedAt < MINUTE_MS) return;
+        this.prunedAt = now;
+
+        const today = dayOf(now);
+        for (const [userId, state] of this.users) {
+            const idle = state.active === 0
+                && !state.requests.some((time) => time > now - MINUTE_MS)
+                && !state.days.has(today);
+            if (idle) this.users.delete(userId);
+        }
+    }
+
+    /**
+     * @param {string} userId - The user id.
+     * @returns {object} The user's counters, created on first use.
+     */
+    userState(userId) {
+        if (!this.users.has(userId)) {
+            this.users.set(userId, { requests: [], active: 0, days: new Map() });
+        }
+        return this.users.get(userId);
+    }
+
+    /**
+     * Checks whether a user may start another request.
+     * @param {string} userId - The user id.
+     * @returns {{ allowed: true } | { allowed: false, reason: string, retryAfterSeconds: number }}
+     */
+    check(userId) {
+        const { requestsPerMinute, tokensPerDay, maxConcurrentStreams } = this.limits;
+        this.prune();
+        const state = this.userState(userId);
+        const now = this.now();
+
+        state.requests = state.requests.filter((time) => time > now - MINUTE_MS);
+        if (requestsPerMinute > 0 && state.requests.length >= requestsPerMinute) {
+            return {
+                allowed: false,
+                reason: `Request limit reached (${requestsPerMinute} per minute).`,
+                retryAfterSeconds: Math.ceil((state.requests[0] + MINUTE_MS - now) / 1000),
+            };
+        }
+
+        const today = this.usageFor(userId);
+        if (tokensPerDay > 0 && today.promptTokens + today.completionTokens >= tokensPerDay) {
+            const midnight = Date.parse(`${dayOf(now)}T00:00:00Z`) + 24 * 60 * MINUTE_MS;
+            return {
+                allowed: false,
+                reason: `Daily token limit reached (${tokensPerDay} tokens).`,
+                retryAfterSeconds: Math.ceil((midnight - now) / 1000),
+            };
+        }
+
+        if (maxConcurrentStreams > 0 && state.active >= maxConcurrentStreams) {
+            return {
+                allowed: false,
+                reason: `Too many replies in progress (at most ${maxConcurrentStreams} at a time).`,
+                retryAfterSeconds: CONCURRENCY_RETRY_SECONDS,
+            };
+        }
+
+        return { allowed: true };
+    }
+
+    /**
+     * Counts the start of a request.
+     * @param {string} userId - The user id.
+     * @returns {() => void} Call when the request has finished, to free its stream slot.
+     */
+    start(userId) {
+        const state = this.userState(userId);
+        state.requests.push(this.now());
+        state.active += 1;
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            state.active -= 1;
+        };
+    }
+
+    /**
+     * Adds the token usage of an LLM call to the user's total for today.
+     * @param {string} userId - The user id.
+     * @param {object} [usage] - The `usage` of an LLMResponse; missing counts are treated as 0.
+     * @param {object} [params]
+     * @param {boolean} [params.request=true] - False for an extra call made for the same
+     *        request (e.g. a conversation summary), which only adds its tokens.
+     */
+    record(userId, usage, { request = true } = {}) {
+        const days = this.userState(userId).days;
+        const day = dayOf(this.now());
+        const totals = days.get(day) || { requests: 0, promptTokens: 0, completionTokens: 0 };
+        if (request) totals.requests += 1;
+        totals.promptTokens += usage?.promptTokens || 0;
+        totals.completionTokens += usage?.completionTokens || 0;
+        days.set(day, totals);
+
+        // Only today's totals are needed for the daily limit
+        for (const key of days.keys()) {
+            if (key < day) days.delete(key);
+        }
+    }
+
+    /**
+     * @param {string} userId - The user id.
+     * @returns {{ requests: number, promptTokens: number, completionTokens: number }} Today's usage.
+     */
+    usageFor(userId) {
+        return this.users.get(userId)?.days.get(dayOf(this.now())) || { requests: 0, promptTokens: 0, completionTokens: 0 };
+    }
+
+    /**
+     * Express middleware that refuses over-limit requests with 429 and counts the rest.
+     * The user id is stored in `res.locals.meterUserId` for the route to call `record`.
+     * @returns {import('express').RequestHandler} The middleware.
+     */
+    middleware() {
+        return (req, res, next) => {
+            const userId = userIdFor(req);
+            const verdict = this.check(userId);
+            if (!verdict.allowed) {
+                res.setHeader('Retry-After', String(verdict.retryAfterSeconds));
+                return res.status(429).json({ error: verdict.reason, retryAfter: verdict.retryAfterSeconds });
+            }
+
+            res.locals.meterUserId = userId;
+            const release = this.start(userId);
+            res.on('close', release); // Emitted when the response ends or the client disconnects
+            next();
+        };
+    }
+}
+
+module.exports = { UsageMeter, userIdFor };
@@ -0,0 +1,134 @@
+// server/oidc.js - Sign-in through an OpenID Connect identity provider
+
+// --- Flow ---
+// Authorization code flow with PKCE, using the provider's discovery document
+// (<issuer>/.well-known/openid-configuration):
+//   GET /auth/oidc/login     -> redirect to the provider's authorization endpoint
+//   GET /auth/oidc/callback  -> exchange the code for tokens, read the userinfo
+//                               endpoint, start a session, redirect to the app
+// The user's claims are read from the userinfo endpoint over the back channel, so the
+// ID token's signature does not have to be verified here. Users are identified as
+// `oidc:<sub>` and are not added to the local accounts file.
+//
+// For local testing, point `issuer` at a mock IdP such as
+// ghcr.io/navikt/mock-oauth2-server (issuer http://localhost:8080/default).
+
+const express = require('express');
+const { randomBytes, createHash } = require('crypto');
+
+const LOGIN_TIMEOUT_MS = 10 * 60 * 1000; // How long a started sign-in stays valid
+
+/**
+ * Creates the /auth/oidc routes.
+ * @param {object} oidcConfig - The `auth.oidc` config section.
+ * @param {string} oidcConfig.issuer - The provider's issuer URL.
+ * @param {string} oidcConfig.clientId - The client id registered with the provider.
+ * @param {string} [oidcConfig.clientSecret] - The client secret, for confidential clients.
+ * @param {string} oidcConfig.redirectUri - This server's callback URL (…/auth/oidc/callback).
+ * @param {string} [oidcConfig.scopes] - Requested scopes (default 'openid profile email').
+ * @param {string} [oidcConfig.postLoginRedirect] - Where to send the browser after signing in (default '/').
+ * @param {(res: import('express').Response, user: object) => void} startSession - Signs the user in.
+ * @returns {import('express').Router} The router.
+ */
+function createOidcRouter(oidcConfig, startSession) {
+    const router = express.Router();
+    const pendingLogins = new Map(); // state -> { codeVerifier, expiresAt }
+    let discovery = null; // Discovery document, fetched on first use
+
+    async function discover() {
+        if (!discovery) {
+            const url = `${oidcConfig.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`OIDC discovery failed (${response.status}) for ${url}`);
+            }
+            discovery = await response.json();
+        }
+        return discovery;
+    }
+
+    router.get('/login', async (req, res) => {
+        try {
+            const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+            // Forget sign-ins that were never completed
+            for (const [state, login] of pendingLogins) {
+                if (login.expiresAt < Date.now()) pendingLogins.delete(state);
+            }
+
+            const state = randomBytes(16).toString('base64url');
+            const codeVerifier = randomBytes(32).toString('base64url');
+            pendingLogins.set(state, { codeVerifier, expiresAt: Date.now() + LOGIN_TIMEOUT_MS });
+
+            const url = new URL(authorizationEndpoint);
+            url.search = new URLSearchParams({
+                response_type: 'code',
+                client_id: oidcConfig.clientId,
+                redirect_uri: oidcConfig.redirectUri,
+                scope: oidcConfig.scopes || 'openid profile email',
+                state,
+                code_challenge: createHash('sha256').update(codeVerifier).digest('base64url'),
+                code_challenge_method: 'S256',
+            }).toString();
+            res.redirect(url.toString());
+        } catch (error) {
+            console.error('Could not start OIDC sign-in:', error);
+            res.status(502).json({ error: 'The identity provider is not reachable.' });
+        }
+    });
+
+    router.get('/callback', async (req, res) => {
+        const { code, state, error } = req.query;
+        const login = pendingLogins.get(state);
+        pendingLogins.delete(state);
+
+        if (error) {
+            return res.status(401).json({ error: `Sign-in was refused by the identity provider: ${error}` });
+        }
+        if (!code || !login || login.expiresAt < Date.now()) {
+            return res.status(400).json({ error: 'Invalid or expired sign-in; please try again.' });
+        }
+
+        try {
+            const { token_endpoint: tokenEndpoint, userinfo_endpoint: userinfoEndpoint } = await discover();
+
+            const tokenResponse = await fetch(tokenEndpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams({
+                    grant_type: 'authorization_code',
+                    code,
+                    redirect_uri: oidcConfig.redirectUri,
+                    client_id: oidcConfig.clientId,
+                    ...(oidcConfig.clientSecret && { client_secret: oidcConfig.clientSecret }),
+                    code_verifier: login.codeVerifier,
+                }),
+            });
+            if (!tokenResponse.ok) {
+                throw new Error(`Token request failed (${tokenResponse.status})`);
+            }
+            const { access_token: accessToken } = await tokenResponse.json();
+
+            const userinfoResponse = await fetch(userinfoEndpoint, {
+                headers: { Authorization: `Bearer ${accessToken}` },
+            });
+            if (!userinfoResponse.ok) {
+                throw new Error(`Userinfo request failed (${userinfoResponse.status})`);
+            }
+            const claims = await userinfoResponse.json();
+
+            const username = claims.preferred_username || claims.email || claims.sub;
+            const user = { id: `oidc:${claims.sub}`, username, displayName: claims.name || username };
+            startSession(res, user);
+            console.log(`User '${user.username}' signed in through OIDC.`);
+            res.redirect(oidcConfig.postLoginRedirect || '/');
+        } catch (callbackError) {
+            console.error('OIDC sign-in failed:', callbackError);
+            res.status(502).json({ error: 'Sign-in with the identity provider failed.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createOidcRouter };
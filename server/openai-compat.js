@@ -0,0 +1,277 @@
+// server/openai-compat.js - OpenAI-compatible API over the configured providers
+
+// --- Why? ---
+// Notebook extensions, editor plugins and scripts already speak the OpenAI
+// chat-completions protocol. These routes translate it to and from LLMModule, so any
+// OpenAI client can use Ollama or the UBC LLM Sandbox through this backend, with the
+// same sign-in (API tokens as the OpenAI "API key"), quotas, request limits and logging
+// as the chat UI:
+//   GET  /v1/models             -> getAvailableModels() of every provider
+//   POST /v1/chat/completions   -> sendConversation(), or streamConversation() with `stream: true`
+//
+// --- Model names ---
+// Models are listed as '<provider name>/<model>', e.g. 'ollama/llama3.1'. A request may
+// also name just a provider ('ollama', its default model) or just a model ('llama3.1',
+// on the default provider).
+//
+// --- Supported parameters ---
+// messages (roles system/developer/user/assistant, text content), model, stream,
+// stream_options.include_usage, temperature, max_tokens / max_completion_tokens,
+// response_format (`{ type: 'json_object' }` for JSON mode).
+// Other parameters (tools, n, logprobs, ...) are ignored.
+
+const express = require('express');
+const { randomUUID } = require('crypto');
+const { ToolkitError } = require('@ubc-genai-toolkit/core');
+const { abortOnDisconnect, abortableCallback } = require('./abort');
+const { initSSE } = require('./sse');
+const { statusCodeFor } = require('./chat-stream');
+const { errorCodeFor } = require('./errors');
+const { validateChatRequest } = require('./validation');
+
+// Our option names, as reported by validation, and the OpenAI parameters they came from
+const PARAMETER_NAMES = {
+    'options.temperature': 'temperature',
+    'options.maxTokens': 'max_tokens',
+    'options.model': 'model',
+    'options.responseFormat': 'response_format',
+};
+
+/**
+ * Sends an error in OpenAI's format, `{ error: { message, type, param, code } }`.
+ * @param {import('express').Response} res - The response.
+ * @param {number} status - The HTTP status code.
+ * @param {string} message - The error message.
+ * @param {string | null} [param] - The request parameter at fault.
+ * @param {string | null} [code] - A machine-readable error code (see server/errors.js).
+ */
+function sendOpenAiError(res, status, message, param = null, code = null) {
+    const type = status === 429 ? 'rate_limit_error' : status < 500 ? 'invalid_request_error' : 'api_error';
+    res.status(status).json({ error: { message, type, param, code } });
+}
+
+/**
+ * Picks the provider and model for an OpenAI `model` parameter (see "Model names" above).
+ * @param {import('./providers').ProviderRegistry} providers - The provider registry.
+ * @param {string} [model] - The requested model.
+ * @returns {{ name: string, model?: string }} The provider name and the model to ask it for.
+ */
+function resolveModel(providers, model) {
+    if (!model) return { name: providers.defaultProvider };
+    if (providers.has(model)) return { name: model };
+
+    const slash = model.indexOf('/');
+    if (slash > 0 && providers.has(model.slice(0, slash))) {
+        return { name: model.slice(0, slash), model: model.slice(slash + 1) || undefined };
+    }
+    return { name: providers.defaultProvider, model };
+}
+
+/**
+ * Turns OpenAI message content (a string or a list of parts) into text.
+ * @param {*} content - The content.
+ * @returns {*} The text, or the content unchanged when it has no text form (validation reports it).
+ */
+function textContent(content) {
+    if (!Array.isArray(content)) return content;
+    return content.every((part) => part?.type === 'text' && typeof part.text === 'string')
+        ? content.map((part) => part.text).join('')
+        : content;
+}
+
+/**
+ * Translates an OpenAI chat-completions body into the body of our /chat route.
+ * @param {object} body - The request body.
+ * @param {import('./providers').ProviderRegistry} providers - The provider registry.
+ * @returns {{ messages: object[], options: object, provider: string }} The translated request.
+ */
+function translateRequest(body, providers) {
+    const { name, model } = resolveModel(providers, body.model);
+    const options = {
+        ...(body.temperature != null && { temperature: body.temperature }),
+        ...((body.max_completion_tokens ?? body.max_tokens) != null && { maxTokens: body.max_completion_tokens ?? body.max_tokens }),
+        ...(model && { model }),
+        ...(body.response_format?.type === 'json_object' && { responseFormat: 'json' }),
+    };
+    const messages = Array.isArray(body.messages)
+        ? body.messages.map((message) => ({
+            // 'developer' is the newer name for the system role
+            role: message?.role === 'developer' ? 'system' : message?.role,
+            content: textContent(message?.content),
+        }))
+        : body.messages;
+    return { messages, options, provider: name };
+}
+
+/**
+ * Converts LLMResponse usage to OpenAI's usage object.
+ * @param {object} [usage] - The `usage` of an LLMResponse.
+ * @returns {object | undefined} `{ prompt_tokens, completion_tokens, total_tokens }`.
+ */
+function openAiUsage(usage) {
+    if (!usage) return undefined;
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * Reads why generation stopped from the provider metadata, in OpenAI's terms.
+ * @param {object} [response] - The LLMResponse.
+ * @returns {string} `stop`, `length` or `content_filter`; `stop` when the provider did not say.
+ */
+function finishReason(response) {
+    const metadata = response?.metadata || {};
+    const reason = metadata.finish_reason || metadata.stop_reason || metadata.done_reason;
+    if (reason === 'length' || reason === 'max_tokens') return 'length';
+    if (reason === 'content_filter') return 'content_filter';
+    return 'stop';
+}
+
+/**
+ * Creates the router for the /v1 routes.
+ * @param {object} deps
+ * @param {import('./providers').ProviderRegistry} deps.providers - The provider registry.
+ * @param {import('./context-window').ContextWindow} deps.contextWindow - Fits histories to the context window.
+ * @param {import('./metering').UsageMeter} deps.meter - Enforces per-user quotas on chat turns.
+ * @param {object} deps.requestLimits - The `requestLimits` config section (see server/validation.js).
+ * @returns {import('express').Router} The router, to be mounted at /v1.
+ */
+function createOpenAiRouter({ providers, contextWindow, meter, requestLimits }) {
+    const router = express.Router();
+
+    router.get('/models', async (req, res) => {
+        const data = [];
+        for (const name of providers.names()) {
+            try {
+                for (const model of await providers.get(name).getAvailableModels()) {
+                    data.push({ id: `${name}/${model}`, object: 'model', created: 0, owned_by: name });
+                }
+            } catch (error) {
+                // A provider that is down is left out rather than failing the whole list
+                console.error(`Error fetching models for provider '${name}':`, error);
+            }
+        }
+        res.json({ object: 'list', data });
+    });
+
+    // Translates and validates the body before the quota is checked, like /chat
+    const parseRequest = (req, res, next) => {
+        const body = req.body || {};
+        const request = translateRequest(body, providers);
+        const problems = validateChatRequest(request, requestLimits);
+        if (problems.length > 0) {
+            const params = problems.map(({ field }) => PARAMETER_NAMES[field] || field);
+            const message = problems.map(({ message: problem }, index) => `${params[index]} ${problem}`).join('; ');
+            return sendOpenAiError(res, 400, `Invalid request: ${message}.`, params[0]);
+        }
+        res.locals.chatRequest = { ...request, stream: body.stream === true, includeUsage: body.stream_options?.include_usage === true };
+        next();
+    };
+
+    router.post('/chat/completions', parseRequest, meter.middleware(), async (req, res) => {
+        const { messages, options, provider: name, stream, includeUsage } = res.locals.chatRequest;
+        const llmModule = providers.get(name);
+        const context = contextWindow.fit(name, messages, options);
+        const id = `chatcmpl-${randomUUID()}`;
+        const created = Math.floor(Date.now() / 1000);
+        const modelName = (model) => `${name}/${model || options.model || providers.describe(name).defaultModel}`;
+
+        console.log(`Received /v1/chat/completions request. User: ${req.user?.username || 'anonymous'}, Provider: ${name}, Messages: ${messages.length} (${context.trimmedMessages} trimmed), Stream: ${stream}, Options:`, options);
+
+        let response;
+        try {
+            if (!stream) {
+                response = await llmModule.sendConversation(context.messages, options);
+                res.json({
+                    id,
+                    object: 'chat.completion',
+                    created,
+                    model: modelName(response.model),
+                    choices: [{ index: 0, message: { role: 'assistant', content: response.content }, finish_reason: finishReason(response) }],
+                    usage: openAiUsage(response.usage),
+                });
+            } else {
+                response = await streamCompletion(res, { llmModule, messages: context.messages, options, id, created, model: modelName(), includeUsage });
+                if (response.aborted) {
+                    // The client went away. The provider reports no usage for a cancelled stream,
+                    // but the prompt and the tokens generated so far still count towards the quota.
+                    meter.record(res.locals.meterUserId, contextWindow.estimateUsage(name, context.messages, response.content));
+                    return;
+                }
+            }
+        } catch (error) {
+            console.error('Error during /v1/chat/completions:', error);
+            const message = error instanceof ToolkitError ? `LLM Error: ${error.message}` : 'An error occurred while processing the chat completion.';
+            if (!res.headersSent) {
+                res.removeHeader('Content-Type');
+                sendOpenAiError(res, statusCodeFor(error), message, null, errorCodeFor(error));
+            } else {
+                // Mid-stream, the error goes out as a last chunk, as OpenAI does
+                res.write(`data: ${JSON.stringify({ error: { message, type: 'api_error', param: null, code: errorCodeFor(error) } })}\n\n`);
+                res.end();
+            }
+            return;
+        }
+
+        contextWindow.calibrate(name, context.messages, response.usage);
+        meter.record(res.locals.meterUserId, response.usage);
+    });
+
+    return router;
+}
+
+/**
+ * Streams a completion as OpenAI `chat.completion.chunk` events, ending with `data: [DONE]`.
+ * @param {import('express').Response} res - The response.
+ * @param {object} params
+ * @param {import('@ubc-genai-toolkit/llm').LLMModule} params.llmModule - The provider's module.
+ * @param {object[]} params.messages - The (fitted) history.
+ * @param {object} params.options - LLM options.
+ * @param {string} params.id - The completion id.
+ * @param {number} params.created - Creation time, in seconds since the epoch.
+ * @param {string} params.model - The model name reported in the chunks.
+ * @param {boolean} params.includeUsage - Whether to send a last chunk with the token usage.
+ * @returns {Promise<object>} The LLMResponse, or `{ aborted: true, content }` with the text streamed
+ *          so far if the client disconnected.
+ */
+async function streamCompletion(res, { llmModule, messages, options, id, created, model, includeUsage }) {
+    const abortController = abortOnDisconnect(res);
+    const sendChunk = (fields) => {
+        res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, ...fields })}\n\n`);
+    };
+    initSSE(res);
+
+    let started = false;
+    let content = ''; // Everything streamed so far, for the usage of a cancelled stream
+    try {
+        const response = await llmModule.streamConversation(
+            messages,
+            abortableCallback(abortController.signal, (chunk) => {
+                if (!started) {
+                    started = true;
+                    sendChunk({ choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }] });
+                }
+                content += chunk;
+                sendChunk({ choices: [{ index: 0, delta: { content: chunk }, finish_reason: null }] });
+            }),
+            { ...options, signal: abortController.signal }
+        );
+
+        sendChunk({ choices: [{ index: 0, delta: {}, finish_reason: finishReason(response) }] });
+        if (includeUsage) {
+            sendChunk({ choices: [], usage: openAiUsage(response?.usage) || null });
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+        return response || {};
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log('Client disconnected; cancelled LLM stream.');
+            return { aborted: true, content };
+        }
+        throw error;
+    }
+}
+
+module.exports = { createOpenAiRouter };
@@ -0,0 +1,110 @@
+// server/providers.js - Registry of named LLMModule instances
+
+// --- Why a registry? ---
+// An LLMModule talks to exactly one provider. To compare, say, a local Ollama server
+// against the UBC LLM Sandbox and OpenAI from the same chat UI, the backend keeps one
+// LLMModule per configured provider and each request picks one by name.
+
+const { LLMModule } = require('@ubc-genai-toolkit/llm');
+const { ConsoleLogger, ConfigurationError } = require('@ubc-genai-toolkit/core');
+const { adaptSystemMessages } = require('./system-prompt');
+const { patchSandboxStreaming } = require('./sandbox-stream');
+const { RetryAdapter } = require('./retry');
+const { FailoverAdapter } = require('./failover');
+const { ErrorClassifierAdapter } = require('./errors');
+
+class ProviderRegistry {
+    /**
+     * Creates an LLMModule for every configured provider.
+     * @param {Record<string, object>} providers - Provider settings by name (see server/config.js).
+     * @param {string} defaultProvider - Name used when a request does not pick a provider.
+     * @param {object} [options]
+     * @param {boolean} [options.debug] - Enables verbose toolkit logging.
+     * @param {object} [options.retry] - The `retry` config section; calls are not retried when omitted.
+     * @throws {ConfigurationError} If the toolkit rejects a provider's settings.
+     */
+    constructor(providers, defaultProvider, { debug = false, retry } = {}) {
+        this.defaultProvider = defaultProvider;
+        this.entries = new Map();
+
+        for (const [name, settings] of Object.entries(providers)) {
+            // Only the settings LLMModule understands; apiKeyEnv was already resolved by the config loader
+            const { apiKeyEnv, fallbacks, ...llmConfig } = settings;
+            // Streamed Sandbox replies report usage (see server/sandbox-stream.js), provider
+            // errors become specific ToolkitErrors (see server/errors.js), and Anthropic
+            // ignores system-role messages (see server/system-prompt.js)
+            let llmModule = adaptSystemMessages(new ErrorClassifierAdapter(patchSandboxStreaming(new LLMModule({
+                ...llmConfig,
+                logger: new ConsoleLogger(`ToolkitChatDemo-Backend:${name}`), // Use the Core ConsoleLogger
+                debug,
+            }))));
+            // Transient failures are retried (see server/retry.js)
+            if (retry) {
+                llmModule = new RetryAdapter(llmModule, name, retry);
+            }
+            this.entries.set(name, {
+                settings: llmConfig,
+                fallbacks: fallbacks || [],
+                module: llmModule,
+            });
+        }
+
+        // Providers with fallbacks try them when they are down (see server/failover.js).
+        // The chain is built from the unwrapped modules, so fallbacks do not fail over in turn.
+        const modules = new Map([...this.entries].map(([name, entry]) => [name, entry.module]));
+        for (const [name, entry] of this.entries) {
+            if (entry.fallbacks.length > 0) {
+                const chain = [name, ...entry.fallbacks].map((member) => ({ name: member, module: modules.get(member) }));
+                entry.module = new FailoverAdapter(chain);
+            }
+        }
+    }
+
+    /**
+     * Looks up the LLMModule for a provider name.
+     * @param {string} [name] - The provider name; the default provider when omitted.
+     * @returns {LLMModule} The provider's module.
+     * @throws {ConfigurationError} If no provider with that name is configured.
+     */
+    get(name) {
+        const entry = this.entries.get(name || this.defaultProvider);
+        if (!entry) {
+            throw new ConfigurationError(`Unknown provider '${name}'. Available providers: ${this.names().join(', ')}`);
+        }
+        return entry.module;
+    }
+
+    /**
+     * Checks whether a provider name is configured.
+     * @param {string} name - The provider name.
+     * @returns {boolean} True if configured.
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * @returns {string[]} The configured provider names, in config order.
+     */
+    names() {
+        return [...this.entries.keys()];
+    }
+
+    /**
+     * Describes a configured provider without exposing secrets such as the API key.
+     * @param {string} name - The provider name.
+     * @returns {{ name: string, provider: string, defaultModel: string, isDefault: boolean, fallbacks: string[] }}
+     */
+    describe(name) {
+        const { settings, fallbacks, module } = this.entries.get(name);
+        return {
+            name,
+            provider: module.getProviderName(),
+            defaultModel: settings.defaultModel,
+            isDefault: name === this.defaultProvider,
+            fallbacks,
+        };
+    }
+}
+
+module.exports = { ProviderRegistry };
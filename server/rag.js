@@ -0,0 +1,266 @@
+// server/rag.js - Retrieval-augmented chat over uploaded course documents
+
+// --- How it works ---
+// 1. Upload: a PDF, Markdown or text file is turned into plain text, split into
+//    overlapping chunks of about `chunkChars` characters (paragraphs are kept whole where
+//    possible) and embedded with llmModule.embed. The chunks and vectors go into the
+//    on-disk vector index (server/vector-index.js).
+// 2. Chat: the user's latest message is embedded the same way, the `topK` most similar
+//    chunks are looked up, and they are added to the prompt as a system message with
+//    numbered excerpts. The model is asked to cite them as [1], [2], ...; the chunks are
+//    sent to the browser in a `sources` event so it can show them under the answer.
+//
+// Retrieval failures are logged and the turn goes ahead without excerpts, so a chat
+// never fails because of the document index. `topK: 0` turns retrieval off.
+
+const path = require('path');
+const pdfParse = require('pdf-parse');
+
+const EMBED_BATCH_SIZE = 32; // Chunks embedded per llmModule.embed call
+
+const SOURCES_INSTRUCTIONS = [
+    'Excerpts from the course documents are listed below. Use them to answer when they',
+    'are relevant and cite them by number, like [1]. If they do not contain the answer,',
+    'say so instead of guessing.',
+].join(' ');
+
+// File types that can be uploaded, by file extension and by Content-Type
+const DOCUMENT_TYPES = [
+    { type: 'pdf', extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+    { type: 'markdown', extensions: ['.md', '.markdown'], mimeTypes: ['text/markdown', 'text/x-markdown'] },
+    { type: 'text', extensions: ['.txt'], mimeTypes: ['text/plain'] },
+];
+
+/**
+ * Thrown when an uploaded file cannot be indexed (unreadable, or without text).
+ * The message is meant for the user.
+ */
+class DocumentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DocumentError';
+    }
+}
+
+/**
+ * Works out the type of an uploaded file.
+ * @param {string} name - The file name.
+ * @param {string} [mimeType] - The Content-Type it was uploaded with.
+ * @returns {'pdf' | 'markdown' | 'text' | null} The type, or null when it is not supported.
+ */
+function documentType(name, mimeType = '') {
+    const extension = path.extname(name).toLowerCase();
+    const baseMimeType = mimeType.split(';')[0].trim().toLowerCase();
+    const match = DOCUMENT_TYPES.find((entry) => entry.extensions.includes(extension))
+        || DOCUMENT_TYPES.find((entry) => entry.mimeTypes.includes(baseMimeType));
+    return match ? match.type : null;
+}
+
+/**
+ * @param {string} name - The file name, for error messages.
+ * @param {'pdf' | 'markdown' | 'text'} type - The file type (see documentType).
+ * @param {Buffer} content - The file contents.
+ * @returns {Promise<string>} The file's text.
+ * @throws {DocumentError} If a PDF cannot be read.
+ */
+async function extractText(name, type, content) {
+    if (type === 'pdf') {
+        try {
+            return (await pdfParse(content)).text;
+        } catch (error) {
+            console.error(`Could not read PDF '${name}':`, error);
+            throw new DocumentError(`'${name}' could not be read as a PDF.`);
+        }
+    }
+    return content.toString('utf8');
+}
+
+/**
+ * Cuts a paragraph that is longer than `maxChars` into pieces, at spaces where possible.
+ * @param {string} paragraph - The paragraph.
+ * @param {number} maxChars - The longest piece.
+ * @returns {string[]} The pieces.
+ */
+function splitLongParagraph(paragraph, maxChars) {
+    const pieces = [];
+    let rest = paragraph;
+    while (rest.length > maxChars) {
+        const space = rest.lastIndexOf(' ', maxChars);
+        const cut = space > maxChars / 2 ? space : maxChars;
+        pieces.push(rest.slice(0, cut).trim());
+        rest = rest.slice(cut).trim();
+    }
+    return rest ? [...pieces, rest] : pieces;
+}
+
+/**
+ * @param {string} text - A chunk.
+ * @param {number} overlap - How many characters to repeat.
+ * @returns {string} The end of the chunk to start the next one with, beginning at a word.
+ */
+function overlapTail(text, overlap) {
+    if (overlap <= 0) return '';
+    const tail = text.slice(-overlap);
+    const space = tail.indexOf(' ');
+    return space === -1 ? tail : tail.slice(space + 1);
+}
+
+/**
+ * Splits text into chunks of at most about `chunkChars` characters. Paragraphs are kept
+ * together where they fit, and each chunk starts with the last `chunkOverlap` characters
+ * of the one before, so a sentence cut at a boundary is still found.
+ * @param {string} text - The document text.
+ * @param {{ chunkChars: number, chunkOverlap: number }} settings - Chunk size and overlap.
+ * @returns {string[]} The chunks.
+ */
+function chunkText(text, { chunkChars, chunkOverlap }) {
+    const paragraphs = text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map((paragraph) => paragraph.replace(/[ \t]+/g, ' ').trim())
+        .filter(Boolean);
+    // Leave room for the overlap, so every chunk stays within chunkChars
+    const pieces = paragraphs.flatMap((paragraph) => splitLongParagraph(paragraph, chunkChars - chunkOverlap));
+
+    const chunks = [];
+    let current = '';
+    let hasNewText = false; // Whether `current` holds more than the previous chunk's tail
+    for (const piece of pieces) {
+        if (hasNewText && current.length + 2 + piece.length > chunkChars) {
+            chunks.push(current);
+            current = overlapTail(current, chunkOverlap);
+        }
+        current = current ? `${current}\n\n${piece}` : piece;
+        hasNewText = true;
+    }
+    if (hasNewText) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Indexes uploaded documents and finds the excerpts relevant to a chat turn.
+ */
+class DocumentRetriever {
+    /**
+     * @param {object} deps
+     * @param {import('./providers').ProviderRegistry} deps.providers - The provider registry.
+     * @param {import('./vector-index').JsonFileVectorIndex} deps.index - The vector index.
+     * @param {object} settings - The `rag` config section.
+     * @param {string} [settings.provider] - Provider that embeds documents and queries; the default provider when unset.
+     * @param {string} [settings.embeddingModel] - Embedding model; the provider's `embeddingModel` when unset.
+     * @param {number} settings.chunkChars - Characters per chunk.
+     * @param {number} settings.chunkOverlap - Characters repeated from one chunk in the next.
+     * @param {number} settings.topK - Excerpts added to each chat turn (0 disables retrieval).
+     * @param {number} settings.minScore - Lowest cosine similarity for an excerpt to count as relevant.
+     */
+    constructor({ providers, index }, { provider, embeddingModel, chunkChars, chunkOverlap, topK, minScore }) {
+        this.providers = providers;
+        this.index = index;
+        this.provider = provider || providers.defaultProvider;
+        this.embeddingModel = embeddingModel;
+        this.chunking = { chunkChars, chunkOverlap };
+        this.topK = topK;
+        this.minScore = minScore;
+    }
+
+    /**
+     * Embeds texts in batches.
+     * @param {string[]} texts - The texts.
+     * @returns {Promise<{ embeddings: number[][], model: string }>} One vector per text, and the model that made them.
+     */
+    async embed(texts) {
+        const llmModule = this.providers.get(this.provider);
+        const embeddings = [];
+        let model = this.embeddingModel;
+        for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+            const response = await llmModule.embed(texts.slice(start, start + EMBED_BATCH_SIZE), {
+                ...(this.embeddingModel && { model: this.embeddingModel }),
+                truncate: true, // A chunk too long for the model is cut rather than failing the upload
+            });
+            embeddings.push(...response.embeddings);
+            model = response.model || model;
+        }
+        return { embeddings, model };
+    }
+
+    /**
+     * Extracts, chunks, embeds and stores an uploaded document.
+     * @param {object} upload
+     * @param {string} upload.id - The document id (a new one, or the one being replaced).
+     * @param {string} upload.name - The file name.
+     * @param {'pdf' | 'markdown' | 'text'} upload.type - The file type (see documentType).
+     * @param {Buffer} upload.content - The file contents.
+     * @param {string | null} upload.owner - Id of the user who uploaded it.
+     * @param {string} [upload.createdAt] - Kept when a document is replaced.
+     * @returns {Promise<object>} The stored document's summary.
+     * @throws {DocumentError} If the file cannot be read or has no text; errors from llmModule.embed are passed on.
+     */
+    async ingest({ id, name, type, content, owner, createdAt }) {
+        const text = await extractText(name, type, content);
+        const chunks = chunkText(text, this.chunking);
+        if (chunks.length === 0) {
+            throw new DocumentError(`'${name}' contains no text to index.`);
+        }
+
+        const { embeddings, model } = await this.embed(chunks);
+        const now = new Date().toISOString();
+        return this.index.save({
+            id,
+            name,
+            type,
+            size: content.length,
+            owner,
+            provider: this.provider,
+            model,
+            createdAt: createdAt || now,
+            updatedAt: now,
+            chunks: chunks.map((chunk, index) => ({ index, text: chunk, embedding: embeddings[index] })),
+        });
+    }
+
+    /**
+     * Finds the excerpts relevant to the latest user message.
+     * @param {Array<{role: string, content: string}>} messages - The conversation, oldest first.
+     * @returns {Promise<Array<{ number: number, documentId: string, documentName: string, chunkIndex: number, score: number, text: string }>>}
+     *          The excerpts, numbered from 1 as the model cites them (empty when none are relevant).
+     */
+    async retrieve(messages) {
+        const query = messages.findLast((message) => message.role === 'user')?.content;
+        if (this.topK === 0 || !query) {
+            return [];
+        }
+        try {
+            if ((await this.index.count()) === 0) return [];
+            const { embeddings: [embedding], model } = await this.embed([query]);
+            const matches = await this.index.search(embedding, { model, topK: this.topK, minScore: this.minScore });
+            return matches.map((match, index) => ({ number: index + 1, ...match, score: Math.round(match.score * 1000) / 1000 }));
+        } catch (error) {
+            console.error('Could not search the document index; answering without excerpts:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Adds the excerpts to the messages as a system message, after the existing ones.
+     * @param {Array<{role: string, content: string}>} messages - The messages to send.
+     * @param {object[]} sources - Excerpts from retrieve().
+     * @returns {Array<{role: string, content: string}>} The messages with the excerpts.
+     */
+    withSources(messages, sources) {
+        if (sources.length === 0) return messages;
+        const excerpts = sources
+            .map((source) => `[${source.number}] ${source.documentName}, part ${source.chunkIndex + 1}:\n${source.text}`)
+            .join('\n\n');
+        const firstTurn = messages.findIndex((message) => message.role !== 'system');
+        const at = firstTurn === -1 ? messages.length : firstTurn;
+        return [
+            ...messages.slice(0, at),
+            { role: 'system', content: `${SOURCES_INSTRUCTIONS}\n\n${excerpts}` },
+            ...messages.slice(at),
+        ];
+    }
+}
+
+module.exports = { DocumentRetriever, DocumentError, documentType, chunkText };
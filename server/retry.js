@@ -0,0 +1,228 @@
+// server/retry.js - Retries with backoff and a circuit breaker for LLM calls
+
+// --- Why? ---
+// Many provider failures are transient: Ollama answering 503 while it loads a model,
+// a Sandbox gateway returning 502, or OpenAI rate limiting with 429. The toolkit turns
+// them into an APIError straight away, so the student saw "LLM Error" for something a
+// second try would have answered. The registry therefore wraps every provider in a
+// RetryAdapter (see server/adapter.js):
+//   - sendConversation, streamConversation and embed are retried when the error is a
+//     NetworkError or carries one of `retry.retryStatusCodes`,
+//   - a stream is only retried before its first chunk, since the client already shows
+//     the chunks that arrived,
+//   - waits grow exponentially from `retry.baseDelayMs`, with random jitter so that many
+//     clients do not retry in step; a provider's Retry-After is honoured instead,
+//   - a wait longer than `retry.maxDelayMs` is not worth it in a chat, so the error is
+//     passed on instead.
+//
+// --- Circuit breaker ---
+// When a provider is down, retrying every request only makes each user wait longer. After
+// `retry.breakerThreshold` failed calls in a row, the provider's breaker opens: calls fail
+// at once with a 503 for `retry.breakerCooldownMs`. Then one call is let through; if it
+// succeeds the breaker closes again, if not it stays open for another cooldown.
+
+const { APIError, NetworkError, ToolkitError } = require('@ubc-genai-toolkit/core');
+const { retryAfterMs } = require('./errors');
+const { LLMModuleAdapter } = require('./adapter');
+
+/**
+ * Waits, unless the call is cancelled first.
+ * @param {number} ms - How long to wait.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @returns {Promise<void>} Rejects if the signal aborts.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) return reject(signal.reason);
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Counts failed calls to one provider and fails fast while it seems to be down.
+ */
+class CircuitBreaker {
+    /**
+     * @param {object} settings
+     * @param {number} settings.threshold - Failed calls in a row that open the breaker (0 disables it).
+     * @param {number} settings.cooldownMs - How long the breaker stays open before one call is let through.
+     */
+    constructor({ threshold, cooldownMs }) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = null; // When the breaker opened; null while closed
+        this.trialRunning = false; // A call is being let through to test the provider
+    }
+
+    /**
+     * @param {number} [now] - The current time in milliseconds.
+     * @returns {number} Milliseconds until a call may be let through (0 if one may go now).
+     */
+    waitMs(now = Date.now()) {
+        if (this.openedAt === null) return 0;
+        if (this.trialRunning) return this.cooldownMs;
+        return Math.max(0, this.openedAt + this.cooldownMs - now);
+    }
+
+    /**
+     * Called before each call; lets it through or refuses it.
+     * @returns {boolean} Whether the call may go ahead.
+     */
+    allow() {
+        if (this.waitMs() > 0) return false;
+        if (this.openedAt !== null) this.trialRunning = true;
+        return true;
+    }
+
+    /** Records a successful call, closing the breaker. */
+    succeeded() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialRunning = false;
+    }
+
+    /** Records a call that was cancelled by the client, which says nothing about the provider. */
+    cancelled() {
+        this.trialRunning = false;
+    }
+
+    /** Records a failed call (after its retries), opening the breaker at the threshold. */
+    failed() {
+        this.failures += 1;
+        this.trialRunning = false;
+        if (this.threshold > 0 && (this.openedAt !== null || this.failures >= this.threshold)) {
+            this.openedAt = Date.now();
+        }
+    }
+}
+
+/**
+ * Wraps an LLMModule's calls with retries and a circuit breaker.
+ */
+class RetryAdapter extends LLMModuleAdapter {
+    /**
+     * @param {object} llmModule - The module to wrap (an LLMModule or another adapter).
+     * @param {string} name - The provider name, for log messages.
+     * @param {object} settings - The `retry` config section (see server/config.js).
+     */
+    constructor(llmModule, name, settings) {
+        super(llmModule);
+        this.name = name;
+        this.settings = settings;
+        this.breaker = new CircuitBreaker({ threshold: settings.breakerThreshold, cooldownMs: settings.breakerCooldownMs });
+    }
+
+    /**
+     * @param {Error} error - A failed call's error.
+     * @returns {boolean} Whether the failure looks transient.
+     */
+    isRetryable(error) {
+        return error instanceof NetworkError
+            || (error instanceof ToolkitError && this.settings.retryStatusCodes.includes(error.code));
+    }
+
+    /**
+     * @param {number} attempt - The try that just failed (1 for the first).
+     * @param {Error} error - Its error.
+     * @returns {number} How long to wait before the next try, in milliseconds.
+     */
+    delayMs(attempt, error) {
+        const requested = retryAfterMs(error);
+        if (requested !== undefined) return requested;
+        const backoff = Math.min(this.settings.maxDelayMs, this.settings.baseDelayMs * 2 ** (attempt - 1));
+        return backoff / 2 + Math.random() * (backoff / 2);
+    }
+
+    /**
+     * Runs a call, retrying transient failures, through the circuit breaker.
+     * @param {string} method - The method name, for log messages.
+     * @param {(attempt: number) => Promise<any>} call - Makes one try.
+     * @param {object} [params]
+     * @param {AbortSignal} [params.signal] - Stops retrying when the client goes away.
+     * @param {() => boolean} [params.canRetry] - Checked after a failure; false once a stream has started.
+     * @returns {Promise<any>} What the call resolved with.
+     */
+    async run(method, call, { signal, canRetry = () => true } = {}) {
+        if (!this.breaker.allow()) {
+            const seconds = Math.ceil(this.breaker.waitMs() / 1000);
+            throw new APIError(
+                `The '${this.name}' provider is failing; not trying again for ${seconds} s.`,
+                503,
+                { provider: this.name, retryAfter: seconds, circuitOpen: true }
+            );
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const result = await call(attempt);
+                this.breaker.succeeded();
+                return result;
+            } catch (error) {
+                const retryable = this.isRetryable(error);
+                const delay = this.delayMs(attempt, error);
+                const retry = retryable && !signal?.aborted && canRetry()
+                    && attempt < this.settings.maxAttempts && delay <= this.settings.maxDelayMs;
+                if (!retry) {
+                    if (signal?.aborted) this.breaker.cancelled();
+                    else if (retryable) this.breaker.failed();
+                    else this.breaker.succeeded(); // The provider answered, if only to refuse the request
+                    throw error;
+                }
+                console.warn(`${this.name}.${method} failed (${error.message}); retry ${attempt} of ${this.settings.maxAttempts - 1} in ${Math.round(delay)} ms.`);
+                try {
+                    await sleep(delay, signal);
+                } catch (abortReason) {
+                    this.breaker.cancelled();
+                    throw abortReason;
+                }
+            }
+        }
+    }
+
+    /**
+     * @param {object[]} messages - The conversation.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The LLMResponse.
+     */
+    sendConversation(messages, options) {
+        return this.run('sendConversation', () => this.llmModule.sendConversation(messages, options), { signal: options?.signal });
+    }
+
+    /**
+     * @param {object[]} messages - The conversation.
+     * @param {(chunk: string) => void} callback - Receives each chunk of text.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The final LLMResponse.
+     */
+    streamConversation(messages, callback, options) {
+        let started = false;
+        return this.run(
+            'streamConversation',
+            () => this.llmModule.streamConversation(messages, (chunk) => {
+                started = true;
+                callback(chunk);
+            }, options),
+            { signal: options?.signal, canRetry: () => !started }
+        );
+    }
+
+    /**
+     * @param {string[]} texts - The texts to embed.
+     * @param {object} [options] - Embedding options.
+     * @returns {Promise<object>} The embeddings.
+     */
+    embed(texts, options) {
+        return this.run('embed', () => this.llmModule.embed(texts, options));
+    }
+}
+
+module.exports = { RetryAdapter, CircuitBreaker };
@@ -0,0 +1,99 @@
+// server/sandbox-stream.js - Usage, finish reason and JSON mode for streamed UBC LLM Sandbox replies
+
+// --- Why? ---
+// The toolkit's UbcLlmSandboxProvider streams without `stream_options.include_usage` and
+// ignores `responseFormat`, so streamed Sandbox replies came back with every usage field
+// undefined, no finish reason and no JSON mode. Quotas (server/metering.js), the stats
+// line (server/stats.js) and the /v1 `usage` and `finish_reason` all read those fields,
+// so a course running on the Sandbox never reached its token quota.
+//
+// The fix belongs in UbcLlmSandboxProvider.streamConversation (@ubc-genai-toolkit/llm).
+// Until the toolkit has it, the registry calls patchSandboxStreaming, which replaces that
+// method on the provider of each `ubc-llm-sandbox` LLMModule with the provider's own code
+// plus:
+//   - `stream_options: { include_usage: true }`, so the last chunk carries the token
+//     usage, returned as promptTokens / completionTokens / totalTokens,
+//   - the `finish_reason` of the last choice ('stop', 'length', ...) in the metadata,
+//   - `responseFormat: 'json'` sent as `response_format: { type: 'json_object' }`, as the
+//     provider's sendConversation already does.
+// It runs as the provider's method, so LLMModule still merges `defaultOptions` into the
+// options first, the request goes through the provider's OpenAI client (with its timeout
+// and retries), and failures through the provider's handleError.
+
+const PROVIDER = 'ubc-llm-sandbox';
+
+/**
+ * UbcLlmSandboxProvider.streamConversation, reporting usage and finish reason and
+ * honouring JSON mode. Called with the provider as `this`.
+ * @param {object[]} messages - The conversation.
+ * @param {(chunk: string) => void} callback - Receives each chunk of text.
+ * @param {object} [options] - LLM options, merged with the module's defaults by LLMModule.
+ * @returns {Promise<object>} The final LLMResponse, with usage and `finish_reason` in its metadata.
+ */
+async function streamSandboxConversation(messages, callback, options) {
+    const model = options?.model || this.defaultModel;
+    this.logger.debug('Streaming conversation from UBC LLM Sandbox', { model, messageCount: messages.length, options });
+    try {
+        const openaiMessages = messages.map((message) => ({ role: message.role, content: message.content }));
+        if (options?.systemPrompt && !messages.some((message) => message.role === 'system')) {
+            openaiMessages.unshift({ role: 'system', content: options.systemPrompt });
+        }
+        const stream = await this.client.chat.completions.create({
+            model,
+            messages: openaiMessages,
+            temperature: options?.temperature,
+            max_tokens: options?.maxTokens,
+            response_format: options?.responseFormat === 'json' ? { type: 'json_object' } : undefined,
+            stream: true,
+            stream_options: { include_usage: true },
+        }, { signal: options?.signal });
+
+        let content = '';
+        let answeredModel;
+        let id;
+        let finishReason;
+        let usage;
+        for await (const chunk of stream) {
+            answeredModel ??= chunk.model;
+            id ??= chunk.id;
+            usage = chunk.usage || usage; // Only on the last chunk, which has no choices
+            const choice = chunk.choices?.[0];
+            finishReason = choice?.finish_reason || finishReason;
+            const text = choice?.delta?.content;
+            if (text) {
+                content += text;
+                callback(text);
+            }
+        }
+
+        return {
+            content,
+            model: answeredModel || model,
+            usage: {
+                promptTokens: usage?.prompt_tokens,
+                completionTokens: usage?.completion_tokens,
+                totalTokens: usage?.total_tokens,
+            },
+            metadata: { provider: PROVIDER, id, finish_reason: finishReason },
+        };
+    } catch (error) {
+        // A cancelled call keeps its abort reason; it says nothing about the provider
+        if (options?.signal?.aborted) throw error;
+        this.logger.error('Error streaming from UBC LLM Sandbox API', { error });
+        throw this.handleError(error);
+    }
+}
+
+/**
+ * @param {import('@ubc-genai-toolkit/llm').LLMModule} llmModule - A provider's module.
+ * @returns {import('@ubc-genai-toolkit/llm').LLMModule} The same module; a Sandbox provider's
+ *          streamConversation is replaced by streamSandboxConversation.
+ */
+function patchSandboxStreaming(llmModule) {
+    if (llmModule.getProviderName() === PROVIDER) {
+        llmModule.provider.streamConversation = streamSandboxConversation;
+    }
+    return llmModule;
+}
+
+module.exports = { patchSandboxStreaming, streamSandboxConversation };
@@ -0,0 +1,40 @@
+// server/sse.js - Server-Sent Events helpers for the Toolkit Chat Demo backend
+
+// --- Event Protocol ---
+// Streaming routes respond with `text/event-stream` and emit typed events so the
+// frontend can tell streamed text apart from metadata and failures:
+//   summary  - { content, coveredMessages } the conversation summary was refreshed; send it back next turn
+//   context  - { trimmedMessages, ... }    older messages were left out to fit the context window
+//   sources  - { sources: [...] }          document excerpts the answer may cite as [1], [2], ... (see server/rag.js)
+//   token    - { content }                 a chunk of assistant text
+//   metadata - { model, metadata }         provider metadata from the final LLMResponse
+//   usage    - { promptTokens, ... }       token usage from the final LLMResponse
+//   stats    - { tokensPerSecond, ... }    token counts and timings for display (see server/stats.js)
+//   error    - { error, code }             a failure after the stream had started
+//   done     - {}                          the stream finished (always the last event)
+// Every `data:` line carries a single JSON document.
+
+/**
+ * Sets the HTTP headers for an SSE response.
+ * Headers are not flushed here; they go out with the first event, so a route can
+ * still fall back to a plain JSON error response if it fails before streaming.
+ * @param {import('express').Response} res - The Express response object.
+ */
+function initSSE(res) {
+    res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache'); // Prevent caching of the stream
+    res.setHeader('Connection', 'keep-alive'); // Keep the connection open for streaming
+    res.setHeader('X-Accel-Buffering', 'no'); // Stop reverse proxies (nginx) from buffering events
+}
+
+/**
+ * Writes a single typed event to an SSE response.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {string} event - The event type (summary, context, token, metadata, usage, stats, error, done).
+ * @param {object} data - JSON-serializable payload for the event.
+ */
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+}
+
+module.exports = { initSSE, sendEvent };
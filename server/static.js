@@ -0,0 +1,45 @@
+// server/static.js - Serves the frontend from the backend (single-origin mode)
+
+// --- Why? ---
+// Served from the same origin as the API, the frontend needs no CORS at all and the
+// session cookie is a plain first-party cookie, so no second `npx serve` process is
+// needed either. Only the files listed below are served: the project directory also
+// holds server code, config files and ./data (accounts, conversations), which must
+// never be downloadable. Add new frontend files to the list.
+
+const express = require('express');
+const path = require('path');
+
+const FRONTEND_FILES = [
+    'index.html',
+    'style.css',
+    'app.js',
+    'storage.js',
+    'markdown.js',
+    'conversation-tree.js',
+];
+
+/**
+ * Creates a router that serves the frontend files.
+ * @param {string} rootDir - The directory holding the frontend files.
+ * @returns {import('express').Router} The router, to be mounted at the app's base path.
+ */
+function createFrontendRouter(rootDir) {
+    const router = express.Router();
+    const sendFile = (file) => (req, res) => res.sendFile(path.join(rootDir, file));
+
+    router.get('/', (req, res) => {
+        // Under a base path, '/chat-demo' must become '/chat-demo/' so the page's relative URLs resolve
+        const [pathname, query] = req.originalUrl.split(/\?(.*)/s);
+        if (!pathname.endsWith('/')) {
+            return res.redirect(301, `${pathname}/${query ? `?${query}` : ''}`);
+        }
+        res.sendFile(path.join(rootDir, 'index.html'));
+    });
+    for (const file of FRONTEND_FILES) {
+        router.get(`/${file}`, sendFile(file));
+    }
+    return router;
+}
+
+module.exports = { createFrontendRouter };
@@ -0,0 +1,55 @@
+// server/stats.js - Usage and latency statistics for one streamed reply
+
+// --- What is measured ---
+// The LLMResponse returned by streamConversation carries token usage, and Ollama adds
+// its own timings to `metadata` (in nanoseconds): load_duration, prompt_eval_duration,
+// eval_duration and total_duration. Time to first token is not reported by any
+// provider, so it is measured here, from the start of the call to the first chunk.
+// Other providers report no timings, so tokens per second falls back to the time
+// between the first and the last chunk.
+
+const NS_PER_MS = 1e6;
+
+/**
+ * Converts an Ollama duration (nanoseconds) to milliseconds.
+ * @param {number | undefined} nanoseconds - The duration, if reported.
+ * @returns {number | undefined} The duration in whole milliseconds.
+ */
+function toMs(nanoseconds) {
+    return typeof nanoseconds === 'number' ? Math.round(nanoseconds / NS_PER_MS) : undefined;
+}
+
+/**
+ * Builds the statistics sent to the client in the `stats` event.
+ * @param {object | undefined} response - The LLMResponse (usage and provider metadata).
+ * @param {object} timing - Timestamps (ms since the epoch) recorded while streaming.
+ * @param {number} timing.startedAt - When the LLM call started.
+ * @param {number | undefined} timing.firstTokenAt - When the first chunk arrived.
+ * @param {number} timing.finishedAt - When the call resolved.
+ * @returns {object} Token counts, tokens per second and durations in milliseconds;
+ *          fields the provider did not report are left out.
+ */
+function responseStats(response, { startedAt, firstTokenAt, finishedAt }) {
+    const usage = response?.usage || {};
+    const metadata = response?.metadata || {};
+
+    let tokensPerSecond;
+    if (metadata.eval_count && metadata.eval_duration) {
+        tokensPerSecond = metadata.eval_count / (metadata.eval_duration / 1e9);
+    } else if (usage.completionTokens && firstTokenAt && finishedAt > firstTokenAt) {
+        tokensPerSecond = usage.completionTokens / ((finishedAt - firstTokenAt) / 1000);
+    }
+
+    const stats = {
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens,
+        tokensPerSecond: tokensPerSecond !== undefined ? Math.round(tokensPerSecond * 10) / 10 : undefined,
+        timeToFirstTokenMs: firstTokenAt ? firstTokenAt - startedAt : undefined,
+        loadDurationMs: toMs(metadata.load_duration),
+        totalDurationMs: finishedAt - startedAt,
+    };
+    // Drop what is unknown so the client can tell "not reported" from zero
+    return Object.fromEntries(Object.entries(stats).filter(([, value]) => value !== undefined));
+}
+
+module.exports = { responseStats };
@@ -0,0 +1,130 @@
+// server/summarizer.js - Rolling summaries of long conversations
+
+// --- Why summarize? ---
+// Trimming (server/context-window.js) keeps long chats within the context window, but
+// the model then forgets everything that was trimmed. Instead, earlier turns are folded
+// into a running summary, written by the same model with a separate sendConversation
+// call. The prompt then holds the system prompt, the summary (as a second system
+// message) and only the most recent turns.
+//
+// --- Where the summary lives ---
+// /chat is stateless, so the summary is returned to the browser in a `summary` event
+// and sent back with later requests ({ content, coveredMessages }). `coveredMessages`
+// counts the non-system messages the summary already includes, so the server knows
+// which turns still have to be sent in full. The summary is refreshed every N turns:
+// once N more turns have moved out of the recent window, they are folded into it.
+//
+// The summary call costs tokens like the turn itself, so its usage is returned for the
+// caller to meter, and it is cancelled with the turn when the client goes away.
+
+const SUMMARY_INSTRUCTIONS = [
+    'You maintain a running summary of a conversation between a user and an AI assistant.',
+    'Update the summary so it also covers the new messages. Keep facts, names, decisions,',
+    'open questions and the user\'s preferences; leave out small talk. Write at most a few',
+    'short paragraphs, in the third person. Reply with the updated summary only.',
+].join(' ');
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation:\n';
+
+/**
+ * Folds older turns of a conversation into a running summary.
+ */
+class ConversationSummarizer {
+    /**
+     * @param {object} settings
+     * @param {number} settings.everyTurns - Refresh the summary once this many turns are outside the recent window (0 disables).
+     * @param {number} settings.keepRecentTurns - Turns always sent in full, never summarized.
+     * @param {number} settings.maxTokens - Length limit for the summary itself.
+     */
+    constructor({ everyTurns, keepRecentTurns, maxTokens }) {
+        this.everyTurns = everyTurns;
+        this.keepRecentTurns = keepRecentTurns;
+        this.maxTokens = maxTokens;
+    }
+
+    /**
+     * Builds the messages to send for a turn, refreshing the summary when it is due.
+     * A failed refresh is logged and the previous summary is used, so a chat never
+     * fails because of its summary.
+     * @param {object} llmModule - The LLMModule that answers the turn (and writes the summary).
+     * @param {Array<{role: string, content: string}>} messages - The full history, oldest first.
+     * @param {{content: string, coveredMessages: number}} [summary] - The current summary, if any.
+     * @param {object} [options] - The LLM options of the request; its `model` also writes the summary.
+     * @param {object} [params]
+     * @param {AbortSignal} [params.signal] - Cancels the summary call when the client goes away.
+     * @returns {Promise<{ messages: object[], summary?: object, refreshed: boolean, usage?: object }>}
+     *          The messages to send, the summary they include, whether it was just refreshed,
+     *          and the token usage of the summary call, if one was made.
+     */
+    async prepare(llmModule, messages, summary, options = {}, { signal } = {}) {
+        const systemMessages = messages.filter((message) => message.role === 'system');
+        const turns = messages.filter((message) => message.role !== 'system');
+
+        // Ignore a malformed summary, or one covering more messages than exist (it belongs to another chat)
+        const valid = typeof summary?.content === 'string' && summary.content
+            && Number.isInteger(summary.coveredMessages) && summary.coveredMessages >= 0
+            && summary.coveredMessages <= turns.length;
+        let current = valid ? { content: summary.content, coveredMessages: summary.coveredMessages } : undefined;
+        let refreshed = false;
+        let usage;
+
+        const covered = current?.coveredMessages || 0;
+        const summarizeUpTo = turns.length - this.keepRecentTurns * 2; // Messages before the recent window
+        if (this.everyTurns > 0 && summarizeUpTo - covered >= this.everyTurns * 2) {
+            try {
+                const response = await this.summarize(llmModule, current?.content, turns.slice(covered, summarizeUpTo), options, signal);
+                usage = response.usage;
+                current = { content: response.content.trim(), coveredMessages: summarizeUpTo };
+                refreshed = true;
+            } catch (error) {
+                if (!signal?.aborted) {
+                    console.error('Could not refresh the conversation summary; using the previous one:', error);
+                }
+            }
+        }
+
+        if (!current) {
+            return { messages, refreshed: false, usage };
+        }
+        return {
+            messages: [
+                ...systemMessages,
+                { role: 'system', content: SUMMARY_PREFIX + current.content },
+                ...turns.slice(current.coveredMessages),
+            ],
+            summary: current,
+            refreshed,
+            usage,
+        };
+    }
+
+    /**
+     * Asks the model for an updated summary.
+     * @param {object} llmModule - The LLMModule to call.
+     * @param {string | undefined} previousSummary - The summary so far, if any.
+     * @param {Array<{role: string, content: string}>} newMessages - The messages to fold in.
+     * @param {object} options - The LLM options of the request.
+     * @param {AbortSignal} [signal] - Cancels the call.
+     * @returns {Promise<object>} The LLMResponse holding the updated summary.
+     */
+    async summarize(llmModule, previousSummary, newMessages, options, signal) {
+        const transcript = newMessages.map((message) => `${message.role}: ${message.content}`).join('\n\n');
+        return llmModule.sendConversation(
+            [
+                { role: 'system', content: SUMMARY_INSTRUCTIONS },
+                {
+                    role: 'user',
+                    content: `Summary so far:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`,
+                },
+            ],
+            {
+                ...(options.model && { model: options.model }),
+                temperature: 0.2,
+                maxTokens: this.maxTokens,
+                ...(signal && { signal }),
+            }
+        );
+    }
+}
+
+module.exports = { ConversationSummarizer };
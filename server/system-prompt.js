@@ -0,0 +1,77 @@
+// server/system-prompt.js - System prompts for providers that ignore system-role messages
+
+// --- Why? ---
+// The demo keeps the system prompt in the history as a { role: 'system' } message, and
+// the summary and document excerpts are added as system messages too. The toolkit's
+// AnthropicProvider drops system-role messages and only sends `options.systemPrompt` as
+// Anthropic's `system` parameter, so against Anthropic the instructor's prompt was
+// silently lost.
+//
+// The registry therefore wraps such providers in a SystemPromptAdapter (see
+// server/adapter.js): before each call, system messages are taken out of the
+// conversation and merged with `options.systemPrompt`, which the provider does send.
+
+const { LLMModuleAdapter } = require('./adapter');
+
+// Provider types (getProviderName()) that ignore system-role messages
+const SYSTEM_PROMPT_ONLY_PROVIDERS = ['anthropic'];
+
+/**
+ * Moves the system messages of a conversation into the system prompt.
+ * @param {Array<{role: string, content: string}>} messages - The conversation.
+ * @param {object} [options] - LLM options; an existing `systemPrompt` comes first.
+ * @returns {{ messages: object[], options: object }} The conversation without system
+ *          messages, and the options with the merged `systemPrompt`.
+ */
+function mergeSystemMessages(messages, options = {}) {
+    const parts = options.systemPrompt ? [options.systemPrompt] : [];
+    for (const message of messages) {
+        // Every system message is kept, in order, even when two have the same text
+        if (message.role === 'system' && message.content) {
+            parts.push(message.content);
+        }
+    }
+    return {
+        messages: messages.filter((message) => message.role !== 'system'),
+        options: parts.length > 0 ? { ...options, systemPrompt: parts.join('\n\n') } : options,
+    };
+}
+
+/**
+ * Wraps an LLMModule so system-role messages reach providers that only read
+ * `options.systemPrompt`.
+ */
+class SystemPromptAdapter extends LLMModuleAdapter {
+    /**
+     * @param {object[]} messages - The conversation, system messages included.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The LLMResponse.
+     */
+    sendConversation(messages, options) {
+        const merged = mergeSystemMessages(messages, options);
+        return this.llmModule.sendConversation(merged.messages, merged.options);
+    }
+
+    /**
+     * @param {object[]} messages - The conversation, system messages included.
+     * @param {(chunk: string) => void} callback - Receives each chunk of text.
+     * @param {object} [options] - LLM options.
+     * @returns {Promise<object>} The final LLMResponse.
+     */
+    streamConversation(messages, callback, options) {
+        const merged = mergeSystemMessages(messages, options);
+        return this.llmModule.streamConversation(merged.messages, callback, merged.options);
+    }
+}
+
+/**
+ * @param {import('@ubc-genai-toolkit/llm').LLMModule} llmModule - A provider's module.
+ * @returns {object} The module, wrapped in a SystemPromptAdapter when its provider ignores system messages.
+ */
+function adaptSystemMessages(llmModule) {
+    return SYSTEM_PROMPT_ONLY_PROVIDERS.includes(llmModule.getProviderName())
+        ? new SystemPromptAdapter(llmModule)
+        : llmModule;
+}
+
+module.exports = { SystemPromptAdapter, adaptSystemMessages, mergeSystemMessages };
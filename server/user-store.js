@@ -0,0 +1,183 @@
+// server/user-store.js - Local user accounts and API tokens
+
+// --- Accounts file ---
+// Local accounts live in one JSON file (default ./data/users.json), managed with
+// `npm run users` (see server/manage-users.js):
+//   { "users": [ { id, username, displayName, passwordHash, createdAt,
+//                  tokens: [ { id, name, hash, createdAt } ] } ] }
+//
+// Passwords are hashed with scrypt and a random salt ("scrypt$<salt>$<hash>", base64).
+// API tokens are random strings shown once when created; only their SHA-256 hash is
+// stored, so a leaked users file does not leak usable tokens.
+
+const fs = require('fs/promises');
+const path = require('path');
+const { randomBytes, randomUUID, scrypt, createHash, timingSafeEqual } = require('crypto');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+const TOKEN_PREFIX = 'tcd_'; // Makes demo tokens easy to recognize (and to scan for in logs)
+
+/**
+ * Hashes a password with scrypt and a random salt.
+ * @param {string} password - The password.
+ * @returns {Promise<string>} The encoded hash, "scrypt$<salt>$<hash>".
+ */
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Checks a password against a hash from hashPassword, in constant time.
+ * @param {string} password - The password to check.
+ * @param {string} encoded - The stored hash.
+ * @returns {Promise<boolean>} Whether the password matches.
+ */
+async function verifyPassword(password, encoded) {
+    const [scheme, salt, hash] = String(encoded).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+    return timingSafeEqual(actual, expected);
+}
+
+/**
+ * @param {string} token - An API token.
+ * @returns {string} Its SHA-256 hash (hex), as stored in the users file.
+ */
+function hashToken(token) {
+    return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * The public view of a user (no password hash or token hashes).
+ * @param {object} user - A stored user.
+ * @returns {{ id: string, username: string, displayName: string }}
+ */
+function publicUser(user) {
+    return { id: user.id, username: user.username, displayName: user.displayName || user.username };
+}
+
+/**
+ * Stores local accounts in a JSON file.
+ */
+class JsonFileUserStore {
+    /**
+     * @param {string} file - Path to the users file; created on first write.
+     */
+    constructor(file) {
+        this.file = file;
+        this.dummyHash = hashPassword(randomUUID()); // A password no one knows; see authenticate
+    }
+
+    /**
+     * @returns {Promise<object[]>} All stored users (an empty list if the file does not exist yet).
+     */
+    async readUsers() {
+        try {
+            return JSON.parse(await fs.readFile(this.file, 'utf8')).users || [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    /**
+     * @param {object[]} users - The users to write (replaces the file).
+     */
+    async writeUsers(users) {
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        // Write to a temporary file first so a crash never leaves a half-written file
+        const tempFile = `${this.file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+        await fs.rename(tempFile, this.file);
+    }
+
+    /**
+     * Checks a username and password.
+     * @param {string} username - The username.
+     * @param {string} password - The password.
+     * @returns {Promise<object | null>} The public user, or null if the credentials are wrong.
+     */
+    async authenticate(username, password) {
+        const user = (await this.readUsers()).find((candidate) => candidate.username === username);
+        // An unknown username is checked against a dummy hash, so that the answer takes as
+        // long as for a wrong password and its timing does not tell which usernames exist
+        const valid = await verifyPassword(password, user ? user.passwordHash : await this.dummyHash);
+        if (!user || !valid) {
+            return null;
+        }
+        return publicUser(user);
+    }
+
+    /**
+     * @param {string} id - The user id.
+     * @returns {Promise<object | null>} The public user, or null if there is no such user.
+     */
+    async findById(id) {
+        const user = (await this.readUsers()).find((candidate) => candidate.id === id);
+        return user ? publicUser(user) : null;
+    }
+
+    /**
+     * Looks up the user an API token belongs to.
+     * @param {string} token - The token from an `Authorization: Bearer` header.
+     * @returns {Promise<object | null>} The public user, or null if the token is unknown.
+     */
+    async findByToken(token) {
+        if (!token.startsWith(TOKEN_PREFIX)) return null;
+        const hash = hashToken(token);
+        const user = (await this.readUsers()).find((candidate) => (candidate.tokens || []).some((t) => t.hash === hash));
+        return user ? publicUser(user) : null;
+    }
+
+    /**
+     * Creates a local account.
+     * @param {string} username - The login name; must be unique.
+     * @param {string} password - The password.
+     * @param {string} [displayName] - Name shown in the chat; defaults to the username.
+     * @returns {Promise<object>} The public user.
+     * @throws {Error} If the username is taken.
+     */
+    async addUser(username, password, displayName) {
+        const users = await this.readUsers();
+        if (users.some((user) => user.username === username)) {
+            throw new Error(`User '${username}' already exists.`);
+        }
+        const user = {
+            id: randomUUID(),
+            username,
+            displayName: displayName || username,
+            passwordHash: await hashPassword(password),
+            createdAt: new Date().toISOString(),
+            tokens: [],
+        };
+        await this.writeUsers([...users, user]);
+        return publicUser(user);
+    }
+
+    /**
+     * Creates an API token for a user. The token itself is only returned here.
+     * @param {string} username - The user's login name.
+     * @param {string} name - A label for the token (e.g. 'grading script').
+     * @returns {Promise<string>} The new token.
+     * @throws {Error} If there is no such user.
+     */
+    async createToken(username, name) {
+        const users = await this.readUsers();
+        const user = users.find((candidate) => candidate.username === username);
+        if (!user) {
+            throw new Error(`User '${username}' does not exist.`);
+        }
+        const token = TOKEN_PREFIX + randomBytes(32).toString('base64url');
+        user.tokens = [...(user.tokens || []), { id: randomUUID(), name, hash: hashToken(token), createdAt: new Date().toISOString() }];
+        await this.writeUsers(users);
+        return token;
+    }
+}
+
+module.exports = { JsonFileUserStore, hashPassword, verifyPassword };
@@ -0,0 +1,248 @@
+// server/validation.js - Schema validation for chat and embedding request bodies
+
+// --- Why? ---
+// The request body is passed on to the toolkit and the provider, so anything a client
+// sends ends up in an LLM call: unknown roles, objects instead of text, maxTokens: 1e9,
+// provider options nobody meant to expose. Bodies are checked against a small schema
+// first, and a bad request gets one 400 that lists every problem, as text in `error`
+// (shown by the chat UI) and one entry per field in `details`:
+//   { "error": "Invalid request body: messages[2].role must be one of ...",
+//     "details": [ { "field": "messages[2].role", "message": "must be one of ..." } ] }
+// The size limits (requestLimits in the config) keep one request from tying up the model.
+//
+// --- Schema rules ---
+//   { type: 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array', required?, min?, max?,
+//     minLength?, maxLength?, enum?, properties?, items?, additionalProperties? }
+// `min`/`max` bound numbers, `maxLength` bounds strings and arrays, `minLength` arrays. Objects reject
+// properties their schema does not list unless `additionalProperties` is true.
+
+const ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Checks a value against a schema rule, adding a problem for each violation.
+ * @param {*} value - The value to check.
+ * @param {object} rule - The schema rule (see the header comment).
+ * @param {string} field - The value's path in the body, e.g. 'messages[0].role'.
+ * @param {Array<{field: string, message: string}>} problems - Collects the violations.
+ */
+function check(value, rule, field, problems) {
+    const fail = (message) => problems.push({ field: field || 'body', message });
+
+    if (value === undefined || value === null) {
+        if (rule.required) fail('is required');
+        return;
+    }
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must be at most ${rule.maxLength} characters long`);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return fail('must be a number');
+            if (rule.type === 'integer' && !Number.isInteger(value)) return fail('must be a whole number');
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                return fail(`must be between ${rule.min ?? '-∞'} and ${rule.max ?? '∞'}`);
+            }
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return fail('must be true or false');
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be an array');
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                return fail(`must have at least ${rule.minLength} item(s)`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return fail(`must have at most ${rule.maxLength} items`);
+            }
+            value.forEach((item, index) => check(item, rule.items, `${field}[${index}]`, problems));
+            break;
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+            const properties = rule.properties || {};
+            for (const [key, propertyRule] of Object.entries(properties)) {
+                check(value[key], propertyRule, field ? `${field}.${key}` : key, problems);
+            }
+            if (!rule.additionalProperties) {
+                for (const key of Object.keys(value)) {
+                    // Own properties only: `in` would also accept inherited names such as 'constructor'
+                    if (!Object.hasOwn(properties, key)) {
+                        problems.push({ field: field ? `${field}.${key}` : key, message: 'is not allowed' });
+                    }
+                }
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown schema type '${rule.type}' for ${field}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        fail(`must be one of ${rule.enum.map((option) => `'${option}'`).join(', ')}`);
+    }
+}
+
+/**
+ * Builds the schema for LLM options sent by clients.
+ * @param {{ maxTokens: number }} limits - The `requestLimits` config section.
+ * @returns {object} The schema rule.
+ */
+function optionsSchema(limits) {
+    return {
+        type: 'object',
+        properties: {
+            temperature: { type: 'number', min: 0, max: 2 },
+            maxTokens: { type: 'integer', min: 1, max: limits.maxTokens },
+            model: { type: 'string', maxLength: 200 },
+            responseFormat: { type: 'string', enum: ['text', 'json'] },
+        },
+    };
+}
+
+/**
+ * Builds the schema for POST /chat bodies.
+ * @param {{ maxMessages: number, maxChars: number, maxTokens: number }} limits - The `requestLimits` config section.
+ * @returns {object} The schema rule.
+ */
+function chatRequestSchema(limits) {
+    return {
+        type: 'object',
+        properties: {
+            messages: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                maxLength: limits.maxMessages,
+                items: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        role: { type: 'string', required: true, enum: ROLES },
+                        content: { type: 'string', required: true },
+                    },
+                },
+            },
+            options: optionsSchema(limits),
+            provider: { type: 'string', maxLength: 100 },
+            summary: {
+                type: 'object',
+                properties: {
+                    content: { type: 'string', required: true },
+                    coveredMessages: { type: 'integer', required: true, min: 0 },
+                },
+            },
+        },
+    };
+}
+
+/**
+ * Checks a POST /chat body.
+ * @param {*} body - The parsed request body.
+ * @param {{ maxMessages: number, maxChars: number, maxTokens: number }} limits - The `requestLimits` config section.
+ * @returns {Array<{field: string, message: string}>} The problems found (empty when the body is valid).
+ */
+function validateChatRequest(body, limits) {
+    const problems = [];
+    check(body, { ...chatRequestSchema(limits), required: true }, '', problems);
+    if (problems.length === 0) {
+        const totalChars = body.messages.reduce((sum, message) => sum + message.content.length, 0)
+            + (body.summary?.content.length || 0);
+        if (totalChars > limits.maxChars) {
+            problems.push({ field: 'messages', message: `must hold at most ${limits.maxChars} characters in total (got ${totalChars})` });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Checks a POST /embed body. Texts over the length limit are allowed when `truncate`
+ * is set, because the route then cuts them to the limit.
+ * @param {*} body - The parsed request body.
+ * @param {{ maxEmbedTexts: number, maxEmbedChars: number }} limits - The `requestLimits` config section.
+ * @returns {Array<{field: string, message: string}>} The problems found (empty when the body is valid).
+ */
+function validateEmbedRequest(body, limits) {
+    const problems = [];
+    const truncate = body?.truncate === true;
+    check(body, {
+        type: 'object',
+        required: true,
+        properties: {
+            texts: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                maxLength: limits.maxEmbedTexts,
+                items: { type: 'string', required: true, ...(!truncate && { maxLength: limits.maxEmbedChars }) },
+            },
+            provider: { type: 'string', maxLength: 100 },
+            model: { type: 'string', maxLength: 200 },
+            truncate: { type: 'boolean' },
+        },
+    }, '', problems);
+    return problems;
+}
+
+/**
+ * Checks LLM options sent by a client (e.g. the `options` of a conversation).
+ * @param {*} options - The options.
+ * @param {{ maxTokens: number }} limits - The `requestLimits` config section.
+ * @param {string} [field] - The options' path in the body.
+ * @returns {Array<{field: string, message: string}>} The problems found (empty when the options are valid).
+ */
+function validateOptions(options, limits, field = 'options') {
+    const problems = [];
+    check(options, optionsSchema(limits), field, problems);
+    return problems;
+}
+
+/**
+ * Sends the structured 400 response for a list of problems.
+ * @param {import('express').Response} res - The response.
+ * @param {Array<{field: string, message: string}>} problems - The problems found.
+ */
+function sendValidationError(res, problems) {
+    const summary = problems.map(({ field, message }) => `${field} ${message}`).join('; ');
+    res.status(400).json({ error: `Invalid request body: ${summary}.`, details: problems });
+}
+
+/**
+ * Creates Express middleware that answers 400 unless the body passes a validator.
+ * @param {(body: *, limits: object) => Array<{field: string, message: string}>} validate - The validator.
+ * @param {object} limits - The `requestLimits` config section.
+ * @returns {import('express').RequestHandler} The middleware.
+ */
+function validateBody(validate, limits) {
+    return (req, res, next) => {
+        const problems = validate(req.body, limits);
+        if (problems.length > 0) {
+            return sendValidationError(res, problems);
+        }
+        next();
+    };
+}
+
+/**
+ * @param {object} limits - The `requestLimits` config section.
+ * @returns {import('express').RequestHandler} Middleware that answers 400 unless the body is a valid POST /chat body.
+ */
+const validateChatBody = (limits) => validateBody(validateChatRequest, limits);
+
+/**
+ * @param {object} limits - The `requestLimits` config section.
+ * @returns {import('express').RequestHandler} Middleware that answers 400 unless the body is a valid POST /embed body.
+ */
+const validateEmbedBody = (limits) => validateBody(validateEmbedRequest, limits);
+
+module.exports = {
+    validateChatRequest,
+    validateEmbedRequest,
+    validateOptions,
+    validateChatBody,
+    validateEmbedBody,
+    sendValidationError,
+};
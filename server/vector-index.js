@@ -0,0 +1,171 @@
+// server/vector-index.js - On-disk vector index of document chunks
+
+// --- Layout ---
+// One JSON file per uploaded document in the index directory (default ./data/documents):
+//   { id, name, type, size, owner, provider, model, createdAt, updatedAt,
+//     chunks: [ { index, text, embedding: [numbers] } ] }
+// The files are loaded into memory on first use and searched by brute-force cosine
+// similarity, which is fast enough for a course's worth of syllabi and notes (tens of
+// thousands of chunks). A dedicated vector database would implement the same methods.
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Document ids are generated with crypto.randomUUID(); anything else is rejected
+// before it can be used as a file name.
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * @param {number[]} a - A vector.
+ * @param {number[]} b - A vector of the same length.
+ * @returns {number} The cosine similarity, between -1 and 1 (0 for a zero vector).
+ */
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * The public view of a document (without its chunks).
+ * @param {object} document - A stored document.
+ * @returns {object} The document with a `chunkCount` instead of `chunks`.
+ */
+function documentSummary({ chunks, ...document }) {
+    return { ...document, chunkCount: chunks.length };
+}
+
+/**
+ * Stores documents and their chunk embeddings as JSON files in a directory.
+ */
+class JsonFileVectorIndex {
+    /**
+     * @param {string} directory - Directory for the JSON files; created on first write.
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.documents = null; // Map of id -> document, loaded on first use
+    }
+
+    /**
+     * @param {string} id - The document id.
+     * @returns {string | null} The document's file path, or null for an invalid id.
+     */
+    filePath(id) {
+        return ID_PATTERN.test(id) ? path.join(this.directory, `${id}.json`) : null;
+    }
+
+    /**
+     * @returns {Promise<Map<string, object>>} All documents, read from disk the first time.
+     */
+    async load() {
+        if (!this.documents) {
+            const documents = new Map();
+            let files = [];
+            try {
+                files = await fs.readdir(this.directory);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            for (const file of files.filter((name) => name.endsWith('.json'))) {
+                const document = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+                documents.set(document.id, document);
+            }
+            this.documents ??= documents; // Another request may have loaded them meanwhile
+        }
+        return this.documents;
+    }
+
+    /**
+     * @returns {Promise<object[]>} Document summaries (see documentSummary), newest first.
+     */
+    async list() {
+        const documents = [...(await this.load()).values()];
+        return documents.map(documentSummary).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * @returns {Promise<number>} How many documents are indexed.
+     */
+    async count() {
+        return (await this.load()).size;
+    }
+
+    /**
+     * @param {string} id - The document id.
+     * @returns {Promise<object | undefined>} The document with its chunks, if it exists.
+     */
+    async get(id) {
+        return (await this.load()).get(id);
+    }
+
+    /**
+     * Adds a document, or replaces the one with the same id.
+     * @param {object} document - The document, with its embedded chunks.
+     * @returns {Promise<object>} The document's summary.
+     */
+    async save(document) {
+        const file = this.filePath(document.id);
+        if (!file) {
+            throw new Error(`Invalid document id '${document.id}'`);
+        }
+        const documents = await this.load();
+        await fs.mkdir(this.directory, { recursive: true });
+        // Write to a temporary file first so a crash never leaves a half-written document
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(document));
+        await fs.rename(tempFile, file);
+        documents.set(document.id, document);
+        return documentSummary(document);
+    }
+
+    /**
+     * @param {string} id - The document id.
+     * @returns {Promise<boolean>} False if there was no such document.
+     */
+    async delete(id) {
+        const file = this.filePath(id);
+        const documents = await this.load();
+        if (!file || !documents.has(id)) return false;
+        try {
+            await fs.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return documents.delete(id);
+    }
+
+    /**
+     * Finds the chunks most similar to a query embedding. Only documents embedded with
+     * the same model are searched, since vectors from different models cannot be compared.
+     * @param {number[]} embedding - The query embedding.
+     * @param {object} params
+     * @param {string} params.model - The embedding model the query was embedded with.
+     * @param {number} params.topK - How many chunks to return at most.
+     * @param {number} params.minScore - The lowest similarity worth returning.
+     * @returns {Promise<Array<{ documentId: string, documentName: string, chunkIndex: number, text: string, score: number }>>}
+     *          The best chunks, most similar first.
+     */
+    async search(embedding, { model, topK, minScore }) {
+        const matches = [];
+        for (const document of (await this.load()).values()) {
+            if (document.model !== model) continue;
+            for (const chunk of document.chunks) {
+                if (chunk.embedding.length !== embedding.length) continue;
+                const score = cosineSimilarity(embedding, chunk.embedding);
+                if (score >= minScore) {
+                    matches.push({ documentId: document.id, documentName: document.name, chunkIndex: chunk.index, text: chunk.text, score });
+                }
+            }
+        }
+        return matches.sort((a, b) => b.score - a.score).slice(0, topK);
+    }
+}
+
+module.exports = { JsonFileVectorIndex, cosineSimilarity };
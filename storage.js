@@ -0,0 +1,122 @@
+/**
+ * Browser-side conversation storage for the Toolkit Chat Demo Application.
+ *
+ * Conversations are saved to IndexedDB so they survive a page refresh. Each record holds:
+ *  - id, title, createdAt, updatedAt
+ *  - userId: the signed-in user who owns it (null when the backend does not require sign-in)
+ *  - userName and settings ({ systemPrompt, temperature, maxTokens, provider, model })
+ *  - tree: the branching message tree (see conversation-tree.js); records saved before
+ *    branching existed hold a flat `messages` array instead, which app.js converts on load
+ *
+ * All functions return Promises; IndexedDB's request/event API is wrapped here so
+ * app.js can simply `await` them.
+ */
+
+const DB_NAME = 'toolkit-chat-demo';
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+const TITLE_LENGTH = 40; // Maximum length of an auto-generated title
+
+let dbPromise = null; // Shared connection, opened on first use
+
+/**
+ * Opens (and on first use creates) the IndexedDB database.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+function openDatabase() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                store.createIndex('updatedAt', 'updatedAt');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Runs a single request against the conversations store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {(store: IDBObjectStore) => IDBRequest} makeRequest - Creates the request to run.
+ * @returns {Promise<any>} The request's result.
+ */
+async function withStore(mode, makeRequest) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Builds a short title from the first user message of a conversation.
+ * @param {Array<{role: string, content: string}>} messages - The conversation messages.
+ * @returns {string} The title, or 'New chat' if there is no user message yet.
+ */
+export function generateTitle(messages) {
+    const firstUserMessage = messages.find((message) => message.role === 'user');
+    if (!firstUserMessage) return 'New chat';
+
+    const text = firstUserMessage.content.replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Saves (inserts or replaces) a conversation and stamps its updatedAt time.
+ * @param {object} conversation - The conversation record; must have an `id`.
+ * @returns {Promise<object>} The saved record.
+ */
+export async function saveConversation(conversation) {
+    const record = { ...conversation, updatedAt: new Date().toISOString() };
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+}
+
+/**
+ * Loads a single conversation.
+ * @param {string} id - The conversation id.
+ * @returns {Promise<object | undefined>} The record, or undefined if it does not exist.
+ */
+export function getConversation(id) {
+    return withStore('readonly', (store) => store.get(id));
+}
+
+/**
+ * Lists a user's conversations, most recently updated first.
+ * @param {string | null} userId - The signed-in user's id, or null for conversations saved without signing in.
+ * @returns {Promise<object[]>} The conversation records.
+ */
+export async function listConversations(userId) {
+    const conversations = await withStore('readonly', (store) => store.index('updatedAt').getAll());
+    return conversations.filter((conversation) => (conversation.userId || null) === userId).reverse();
+}
+
+/**
+ * Renames a conversation. A renamed conversation keeps its title instead of the auto-generated one.
+ * @param {string} id - The conversation id.
+ * @param {string} title - The new title.
+ * @returns {Promise<object | undefined>} The updated record, or undefined if it does not exist.
+ */
+export async function renameConversation(id, title) {
+    const conversation = await getConversation(id);
+    if (!conversation) return undefined;
+
+    // Written directly so that renaming does not move the chat to the top of the list
+    const record = { ...conversation, title, customTitle: true };
+    await withStore('readwrite', (store) => store.put(record));
+    return record;
+}
+
+/**
+ * Deletes a conversation.
+ * @param {string} id - The conversation id.
+ * @returns {Promise<void>}
+ */
+export function deleteConversation(id) {
+    return withStore('readwrite', (store) => store.delete(id));
+}
@@ -0,0 +1,40 @@
+// test/adapter.test.js - The pass-through base of the LLMModule wrappers (server/adapter.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LLMModuleAdapter } = require('../server/adapter');
+
+test('every LLMModule method is passed to the wrapped module', async () => {
+    const calls = [];
+    const record = (name) => (...args) => {
+        calls.push([name, ...args]);
+        return name;
+    };
+    const llmModule = Object.fromEntries(
+        ['sendMessage', 'sendConversation', 'streamConversation', 'embed', 'getAvailableModels', 'getProviderName', 'createConversation']
+            .map((name) => [name, record(name)])
+    );
+    const adapter = new LLMModuleAdapter(llmModule);
+    const callback = () => {};
+
+    assert.equal(adapter.sendMessage('Hi', { temperature: 0 }), 'sendMessage');
+    assert.equal(adapter.sendConversation([], { model: 'm' }), 'sendConversation');
+    assert.equal(adapter.streamConversation([], callback, {}), 'streamConversation');
+    assert.equal(adapter.embed(['a'], {}), 'embed');
+    assert.equal(adapter.getAvailableModels(), 'getAvailableModels');
+    assert.equal(adapter.getProviderName(), 'getProviderName');
+    assert.equal(adapter.createConversation(), 'createConversation');
+    assert.deepEqual(calls[0], ['sendMessage', 'Hi', { temperature: 0 }]);
+    assert.deepEqual(calls[2], ['streamConversation', [], callback, {}]);
+});
+
+test('a subclass overrides only the calls it changes', () => {
+    class UpperCaseAdapter extends LLMModuleAdapter {
+        sendMessage(message, options) {
+            return super.sendMessage(message.toUpperCase(), options);
+        }
+    }
+    const adapter = new UpperCaseAdapter({ sendMessage: (message) => message, getProviderName: () => 'ollama' });
+    assert.equal(adapter.sendMessage('hi'), 'HI');
+    assert.equal(adapter.getProviderName(), 'ollama');
+});
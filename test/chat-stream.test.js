@@ -0,0 +1,97 @@
+// test/chat-stream.test.js - Streaming a chat turn as Server-Sent Events (server/chat-stream.js)
+//
+// streamChat runs in a real Express route on a local port.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+const { streamChat } = require('../server/chat-stream');
+const { ContextWindow } = require('../server/context-window');
+
+const MESSAGES = [{ role: 'user', content: 'x'.repeat(40) }]; // 10 tokens + 4 of overhead, estimated
+
+/**
+ * Starts a route that streams one turn with streamChat.
+ * @param {Function} run - The `run` parameter of streamChat.
+ * @returns {Promise<{ url: string, result: Promise<object>, close: () => Promise<void> }>}
+ *          `result` resolves with what streamChat returned.
+ */
+async function startApp(run) {
+    const contextWindow = new ContextWindow({ maxTokens: 8192, reserveTokens: 512 });
+    let finish;
+    const result = new Promise((resolve) => { finish = resolve; });
+
+    const app = express();
+    app.post('/chat', async (req, res) => {
+        finish(await streamChat(res, {
+            provider: 'local',
+            run,
+            estimateUsage: (reply) => contextWindow.estimateUsage('local', MESSAGES, reply),
+        }));
+    });
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}/chat`,
+        result,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * Posts to the route and reads the whole response, or disconnects after its first bytes.
+ * @param {string} url - The route.
+ * @param {boolean} [hangUp] - Whether to disconnect early.
+ * @returns {Promise<string>} The body read.
+ */
+function post(url, hangUp = false) {
+    return new Promise((resolve) => {
+        const req = http.request(url, { method: 'POST' }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => {
+                text += chunk;
+                if (hangUp) {
+                    req.destroy();
+                    resolve(text);
+                }
+            });
+            res.on('end', () => resolve(text));
+        });
+        req.on('error', () => {}); // The disconnect itself
+        req.end();
+    });
+}
+
+test('a finished turn returns the usage the provider reported', async (t) => {
+    const usage = { promptTokens: 20, completionTokens: 5, totalTokens: 25 };
+    const app = await startApp(async (callback) => {
+        callback('Hello there!');
+        return { content: 'Hello there!', usage };
+    });
+    t.after(app.close);
+
+    const body = await post(app.url);
+    assert.match(body, /event: token\ndata: {"content":"Hello there!"}/);
+    assert.match(body, /event: done\n/);
+    assert.deepEqual(await app.result, { content: 'Hello there!', response: { content: 'Hello there!', usage }, usage, aborted: false });
+});
+
+test('a turn the client abandoned returns its estimated usage', async (t) => {
+    const app = await startApp((callback, signal) => {
+        callback('Hello there!');
+        return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+        });
+    });
+    t.after(app.close);
+
+    await post(app.url, true);
+    // The prompt, and the 12 characters streamed before the client went away
+    assert.deepEqual(await app.result, {
+        content: 'Hello there!',
+        usage: { promptTokens: 14, completionTokens: 3, totalTokens: 17 },
+        aborted: true,
+    });
+});
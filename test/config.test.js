@@ -0,0 +1,60 @@
+// test/config.test.js - Settings from environment variables and config files (server/config.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ConfigurationError } = require('@ubc-genai-toolkit/core');
+const { loadConfig } = require('../server/config');
+
+test('every retry setting can be set from the environment', () => {
+    const config = loadConfig({
+        argv: [],
+        env: {
+            RETRY_MAX_ATTEMPTS: '5',
+            RETRY_BASE_DELAY_MS: '250',
+            RETRY_MAX_DELAY_MS: '4000',
+            RETRY_BREAKER_THRESHOLD: '0',
+            RETRY_BREAKER_COOLDOWN_MS: '60000',
+        },
+    });
+    assert.deepEqual(config.retry, {
+        maxAttempts: 5,
+        baseDelayMs: 250,
+        maxDelayMs: 4000,
+        retryStatusCodes: [408, 429, 500, 502, 503, 504],
+        breakerThreshold: 0,
+        breakerCooldownMs: 60000,
+    });
+});
+
+test('unset retry variables keep the defaults', () => {
+    const config = loadConfig({ argv: [], env: { RETRY_BASE_DELAY_MS: '1000' } });
+    assert.equal(config.retry.baseDelayMs, 1000);
+    assert.equal(config.retry.maxAttempts, 3);
+    assert.equal(config.retry.breakerCooldownMs, 30000);
+});
+
+test('an invalid retry variable is reported', () => {
+    assert.throws(
+        () => loadConfig({ argv: [], env: { RETRY_BREAKER_COOLDOWN_MS: 'soon' } }),
+        (error) => error instanceof ConfigurationError && /retry\.breakerCooldownMs/.test(error.message)
+    );
+});
+
+test('a config file that does not hold an object of settings is reported', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-demo-config-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+    for (const [json, found] of [['null', 'null'], ['42', 'a number'], ['[{"port": 80}]', 'a list']]) {
+        const file = path.join(directory, 'config.json');
+        fs.writeFileSync(file, json);
+        assert.throws(() => loadConfig({ argv: ['--config', file], env: {} }), (error) => {
+            assert.ok(error instanceof ConfigurationError);
+            assert.ok(error.message.startsWith(`Invalid configuration (config file: ${file}):`));
+            assert.match(error.message, new RegExp(`must contain an object of settings \\(got ${found}\\)`));
+            return true;
+        });
+    }
+});
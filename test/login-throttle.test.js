@@ -0,0 +1,76 @@
+// test/login-throttle.test.js - Limits on failed sign-ins (server/login-throttle.js)
+//
+// The throttle is given a clock the tests move by hand.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LoginThrottle } = require('../server/login-throttle');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * @param {object} [limits] - Overrides of the default test limits.
+ * @returns {{ throttle: LoginThrottle, clock: { now: number } }} A throttle and its clock.
+ */
+function createThrottle(limits = {}) {
+    const clock = { now: 0 };
+    const throttle = new LoginThrottle({ failuresPerIp: 5, failuresPerUsername: 3, windowMs: 15 * MINUTE_MS, ...limits }, () => clock.now);
+    return { throttle, clock };
+}
+
+test('a username is locked after failuresPerUsername failures, from any address', () => {
+    const { throttle, clock } = createThrottle();
+    for (const ip of ['10.0.0.1', '10.0.0.2', '10.0.0.3']) {
+        assert.deepEqual(throttle.check(ip, 'alice'), { allowed: true });
+        throttle.failed(ip, 'alice');
+        clock.now += MINUTE_MS;
+    }
+    assert.deepEqual(throttle.check('10.0.0.4', 'alice'), { allowed: false, retryAfterSeconds: 12 * 60 });
+    assert.deepEqual(throttle.check('10.0.0.4', 'bob'), { allowed: true });
+});
+
+test('an address is locked after failuresPerIp failures, whatever the usernames', () => {
+    const { throttle } = createThrottle();
+    for (const username of ['a', 'b', 'c', 'd', 'e']) {
+        throttle.failed('10.0.0.1', username);
+    }
+    assert.equal(throttle.check('10.0.0.1', 'f').allowed, false);
+    assert.equal(throttle.check('10.0.0.2', 'f').allowed, true);
+});
+
+test('attempts are allowed again once the oldest failure leaves the window', () => {
+    const { throttle, clock } = createThrottle();
+    throttle.failed('10.0.0.1', 'alice');
+    clock.now += 5 * MINUTE_MS;
+    throttle.failed('10.0.0.1', 'alice');
+    throttle.failed('10.0.0.1', 'alice');
+
+    clock.now += 10 * MINUTE_MS - 1;
+    assert.deepEqual(throttle.check('10.0.0.1', 'alice'), { allowed: false, retryAfterSeconds: 1 });
+    clock.now += 1;
+    assert.deepEqual(throttle.check('10.0.0.1', 'alice'), { allowed: true });
+});
+
+test("a successful sign-in clears the username's failures but not the address's", () => {
+    const { throttle } = createThrottle({ failuresPerIp: 4 });
+    for (let i = 0; i < 3; i++) throttle.failed('10.0.0.1', 'alice');
+    throttle.succeeded('alice');
+    assert.equal(throttle.check('10.0.0.2', 'alice').allowed, true);
+
+    throttle.failed('10.0.0.1', 'mallory');
+    assert.equal(throttle.check('10.0.0.1', 'alice').allowed, false);
+});
+
+test('a limit of 0 disables that check', () => {
+    const { throttle } = createThrottle({ failuresPerIp: 0, failuresPerUsername: 0 });
+    for (let i = 0; i < 100; i++) throttle.failed('10.0.0.1', 'alice');
+    assert.deepEqual(throttle.check('10.0.0.1', 'alice'), { allowed: true });
+});
+
+test('addresses and usernames are forgotten once their failures are out of the window', () => {
+    const { throttle, clock } = createThrottle();
+    throttle.failed('10.0.0.1', 'alice');
+    clock.now += 15 * MINUTE_MS;
+    throttle.failed('10.0.0.2', 'bob');
+    assert.deepEqual([...throttle.failures.keys()], ['ip:10.0.0.2', 'user:bob']);
+});
@@ -0,0 +1,128 @@
+// test/metering.test.js - Usage metering and per-user quotas (server/metering.js)
+//
+// The meter is given a clock the tests move by hand.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { UsageMeter } = require('../server/metering');
+
+const MINUTE_MS = 60 * 1000;
+const EVENING = Date.parse('2024-05-01T23:00:00Z'); // One hour before UTC midnight
+
+/**
+ * @param {object} [limits] - Overrides of the limits, which are all off by default.
+ * @returns {{ meter: UsageMeter, clock: { now: number } }} A meter and its clock.
+ */
+function createMeter(limits = {}) {
+    const clock = { now: EVENING };
+    const meter = new UsageMeter({ requestsPerMinute: 0, tokensPerDay: 0, maxConcurrentStreams: 0, ...limits }, () => clock.now);
+    return { meter, clock };
+}
+
+/**
+ * @returns {EventEmitter} Enough of an Express response for the middleware.
+ */
+function fakeResponse() {
+    const res = new EventEmitter();
+    res.locals = {};
+    res.headers = {};
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = (body) => { res.body = body; return res; };
+    return res;
+}
+
+test('requests are limited over a sliding one-minute window', () => {
+    const { meter, clock } = createMeter({ requestsPerMinute: 2 });
+    meter.start('alice');
+    clock.now += 20 * 1000;
+    meter.start('alice');
+
+    assert.deepEqual(meter.check('alice'), { allowed: false, reason: 'Request limit reached (2 per minute).', retryAfterSeconds: 40 });
+    assert.deepEqual(meter.check('bob'), { allowed: true });
+    clock.now += 40 * 1000;
+    assert.deepEqual(meter.check('alice'), { allowed: true }, 'the first request has left the window');
+});
+
+test('the daily token limit lasts until UTC midnight', () => {
+    const { meter, clock } = createMeter({ tokensPerDay: 100 });
+    meter.record('alice', { promptTokens: 70, completionTokens: 30 });
+
+    const verdict = meter.check('alice');
+    assert.equal(verdict.allowed, false);
+    assert.equal(verdict.reason, 'Daily token limit reached (100 tokens).');
+    assert.equal(verdict.retryAfterSeconds, 3600);
+
+    clock.now += 60 * MINUTE_MS;
+    assert.deepEqual(meter.check('alice'), { allowed: true });
+    assert.deepEqual(meter.usageFor('alice'), { requests: 0, promptTokens: 0, completionTokens: 0 });
+});
+
+test('concurrent streams are limited, and each slot is released once', () => {
+    const { meter } = createMeter({ maxConcurrentStreams: 1 });
+    const release = meter.start('alice');
+    assert.deepEqual(meter.check('alice'), {
+        allowed: false,
+        reason: 'Too many replies in progress (at most 1 at a time).',
+        retryAfterSeconds: 5,
+    });
+
+    const second = meter.start('alice');
+    release();
+    release();
+    assert.equal(meter.check('alice').allowed, false, 'releasing twice freed only one slot');
+    second();
+    assert.deepEqual(meter.check('alice'), { allowed: true });
+});
+
+test('extra calls for the same request add tokens but no request', () => {
+    const { meter } = createMeter();
+    meter.record('alice', { promptTokens: 10, completionTokens: 5 });
+    meter.record('alice', { promptTokens: 3, completionTokens: 2 }, { request: false });
+    meter.record('alice', undefined);
+
+    assert.deepEqual(meter.usageFor('alice'), { requests: 2, promptTokens: 13, completionTokens: 7 });
+});
+
+test('the middleware refuses over-limit requests with 429 and frees the slot when the response closes', () => {
+    const { meter } = createMeter({ maxConcurrentStreams: 1 });
+    const req = { ip: '10.0.0.1' };
+    const first = fakeResponse();
+    let passed = 0;
+    meter.middleware()(req, first, () => passed++);
+    assert.equal(passed, 1);
+    assert.equal(first.locals.meterUserId, 'ip:10.0.0.1');
+
+    const second = fakeResponse();
+    meter.middleware()(req, second, () => passed++);
+    assert.equal(passed, 1);
+    assert.equal(second.statusCode, 429);
+    assert.equal(second.headers['Retry-After'], '5');
+    assert.equal(second.body.retryAfter, 5);
+
+    first.emit('close');
+    meter.middleware()({ user: { id: 'u1' } }, fakeResponse(), () => passed++);
+    meter.middleware()(req, fakeResponse(), () => passed++);
+    assert.equal(passed, 3);
+});
+
+test('users with nothing left to count are dropped', () => {
+    const { meter, clock } = createMeter();
+    meter.start('ip:10.0.0.1')(); // Finished, no tokens recorded
+    const streaming = meter.start('ip:10.0.0.2');
+    meter.start('alice')();
+    meter.record('alice', { promptTokens: 10, completionTokens: 5 });
+
+    clock.now += MINUTE_MS;
+    meter.check('ip:10.0.0.3');
+    assert.deepEqual([...meter.users.keys()].sort(), ['alice', 'ip:10.0.0.2', 'ip:10.0.0.3']);
+
+    // After midnight alice has no usage today, and the stream has finished
+    streaming();
+    clock.now += 60 * MINUTE_MS;
+    meter.check('bob');
+    assert.deepEqual([...meter.users.keys()], ['bob']);
+    assert.deepEqual(meter.usageFor('alice'), { requests: 0, promptTokens: 0, completionTokens: 0 });
+    assert.ok(!meter.users.has('alice'), 'looking up usage does not add the user back');
+});
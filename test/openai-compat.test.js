@@ -0,0 +1,125 @@
+// test/openai-compat.test.js - The OpenAI-compatible routes (server/openai-compat.js)
+//
+// The router runs in a real Express app on a local port, over a stub provider module.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+const { createOpenAiRouter } = require('../server/openai-compat');
+const { ContextWindow } = require('../server/context-window');
+const { UsageMeter } = require('../server/metering');
+
+const LIMITS = { maxMessages: 10, maxChars: 1000, maxTokens: 100 };
+const MESSAGES = [{ role: 'user', content: 'x'.repeat(40) }]; // 10 tokens + 4 of overhead, estimated
+
+/**
+ * A provider module that streams one chunk, then either finishes or keeps generating until cancelled.
+ * @param {object} [response] - The LLMResponse to finish with; without one the stream never ends.
+ * @returns {object} The module.
+ */
+const streamingModule = (response) => ({
+    async streamConversation(messages, callback, options) {
+        callback('Hello there!');
+        if (response) return response;
+        return new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason));
+        });
+    },
+});
+
+/**
+ * Starts the router on a local port.
+ * @param {object} llmModule - The module of the only provider, 'local'.
+ * @returns {Promise<{ url: string, meter: UsageMeter, recorded: Promise<string>, close: () => Promise<void> }>}
+ *          `recorded` resolves with the user id once the route has counted the request's usage.
+ */
+async function startApp(llmModule) {
+    const providers = {
+        defaultProvider: 'local',
+        has: (name) => name === 'local',
+        get: () => llmModule,
+        describe: () => ({ defaultModel: 'llama3.1' }),
+        names: () => ['local'],
+    };
+    const meter = new UsageMeter({ requestsPerMinute: 0, tokensPerDay: 0, maxConcurrentStreams: 0 });
+    const recorded = new Promise((resolve) => {
+        const record = meter.record.bind(meter);
+        meter.record = (userId, ...rest) => {
+            record(userId, ...rest);
+            resolve(userId);
+        };
+    });
+    const contextWindow = new ContextWindow({ maxTokens: 8192, reserveTokens: 512 });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createOpenAiRouter({ providers, contextWindow, meter, requestLimits: LIMITS }));
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1/chat/completions`,
+        meter,
+        recorded,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * Posts a JSON body and reads the whole response.
+ * @param {string} url - The route.
+ * @param {object} body - The request body.
+ * @returns {Promise<string>} The response body.
+ */
+function post(url, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+            let text = '';
+            res.on('data', (chunk) => { text += chunk; });
+            res.on('end', () => resolve(text));
+        });
+        req.on('error', reject);
+        req.end(JSON.stringify(body));
+    });
+}
+
+/**
+ * Posts a JSON body and disconnects as soon as the first bytes of the reply arrive.
+ * @param {string} url - The route.
+ * @param {object} body - The request body.
+ * @returns {Promise<void>} Resolves once disconnected.
+ */
+function postAndHangUp(url, body) {
+    return new Promise((resolve) => {
+        const req = http.request(url, { method: 'POST', headers: { 'Content-Type': 'application/json' } }, (res) => {
+            res.once('data', () => {
+                req.destroy();
+                resolve();
+            });
+        });
+        req.on('error', () => {}); // The disconnect itself
+        req.end(JSON.stringify(body));
+    });
+}
+
+test('a finished stream counts the usage the provider reported', async (t) => {
+    const app = await startApp(streamingModule({ content: 'Hello there!', usage: { promptTokens: 20, completionTokens: 5 } }));
+    t.after(app.close);
+
+    const body = await post(app.url, { messages: MESSAGES, stream: true });
+    assert.match(body, /"content":"Hello there!"/);
+    assert.match(body, /data: \[DONE\]\n\n$/);
+    const userId = await app.recorded;
+    assert.deepEqual(app.meter.usageFor(userId), { requests: 1, promptTokens: 20, completionTokens: 5 });
+});
+
+test('a stream the client abandoned still counts its estimated usage', async (t) => {
+    const app = await startApp(streamingModule());
+    t.after(app.close);
+
+    await postAndHangUp(app.url, { messages: MESSAGES, stream: true });
+    const userId = await app.recorded;
+    // The prompt, and the 12 characters streamed before the client went away
+    assert.deepEqual(app.meter.usageFor(userId), { requests: 1, promptTokens: 14, completionTokens: 3 });
+});
@@ -0,0 +1,198 @@
+// test/retry.test.js - Retries, backoff and the circuit breaker (server/retry.js)
+//
+// Waits run on node:test's fake timers, so no test sleeps for real.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { APIError, NetworkError } = require('@ubc-genai-toolkit/core');
+const { RetryAdapter, CircuitBreaker } = require('../server/retry');
+
+const SETTINGS = {
+    maxAttempts: 3,
+    baseDelayMs: 100,
+    maxDelayMs: 1000,
+    retryStatusCodes: [429, 502, 503],
+    breakerThreshold: 2,
+    breakerCooldownMs: 5000,
+};
+
+/** Lets pending promise callbacks run (setImmediate is not faked). */
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * @param {Array<Error | object>} outcomes - What each call does in turn: an Error is thrown, anything else is returned.
+ * @returns {{ sendConversation: Function, calls: number }} A module that plays them back.
+ */
+function scriptedModule(outcomes) {
+    const module = {
+        calls: 0,
+        async sendConversation() {
+            const outcome = outcomes[module.calls++];
+            if (outcome instanceof Error) throw outcome;
+            return outcome;
+        },
+    };
+    return module;
+}
+
+test.beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+    t.mock.method(Math, 'random', () => 0); // The shortest wait the jitter allows
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('waits grow exponentially with jitter, up to maxDelayMs', () => {
+    const adapter = new RetryAdapter({}, 'local', SETTINGS);
+    const error = new NetworkError('down');
+    assert.deepEqual([1, 2, 3, 4, 5].map((attempt) => adapter.delayMs(attempt, error)), [50, 100, 200, 400, 500]);
+
+    Math.random.mock.mockImplementation(() => 0.999);
+    assert.ok(adapter.delayMs(1, error) > 99 && adapter.delayMs(1, error) < 100);
+    assert.ok(adapter.delayMs(10, error) <= SETTINGS.maxDelayMs);
+});
+
+test("a provider's Retry-After is used instead of the backoff", () => {
+    const adapter = new RetryAdapter({}, 'local', SETTINGS);
+    assert.equal(adapter.delayMs(1, new APIError('slow down', 429, { retryAfter: 2 })), 2000);
+    assert.equal(adapter.delayMs(1, new APIError('slow down', 429, { headers: { 'retry-after': '0.5' } })), 500);
+    const date = new Date(Date.now() + 3000).toUTCString(); // Retry-After may be an HTTP date
+    assert.equal(adapter.delayMs(1, new APIError('slow down', 429, { headers: new Headers({ 'retry-after': date }) })), 3000);
+});
+
+test('transient failures are retried after the backoff', async (t) => {
+    const llm = scriptedModule([new NetworkError('down'), new APIError('bad gateway', 502), { content: 'Hi' }]);
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    let result;
+    adapter.sendConversation([]).then((response) => { result = response; });
+
+    await flush();
+    assert.equal(llm.calls, 1);
+    t.mock.timers.tick(49);
+    await flush();
+    assert.equal(llm.calls, 1, 'still waiting for the first backoff');
+    t.mock.timers.tick(1);
+    await flush();
+    assert.equal(llm.calls, 2);
+    t.mock.timers.tick(100);
+    await flush();
+    assert.equal(llm.calls, 3);
+    assert.deepEqual(result, { content: 'Hi' });
+    assert.equal(adapter.breaker.failures, 0);
+});
+
+test('requests the provider refuses are not retried', async () => {
+    const llm = scriptedModule([new APIError('bad request', 400)]);
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    await assert.rejects(adapter.sendConversation([]), { code: 400 });
+    assert.equal(llm.calls, 1);
+    assert.equal(adapter.breaker.failures, 0);
+});
+
+test('a Retry-After longer than maxDelayMs returns the error at once', async () => {
+    const llm = scriptedModule([new APIError('slow down', 429, { retryAfter: 60 })]);
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    await assert.rejects(adapter.sendConversation([]), { code: 429 });
+    assert.equal(llm.calls, 1);
+});
+
+test('the last attempt fails with the provider error', async (t) => {
+    const llm = scriptedModule([new NetworkError('down'), new NetworkError('down'), new NetworkError('still down')]);
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    const call = assert.rejects(adapter.sendConversation([]), { message: 'still down' });
+    for (let i = 0; i < 3; i++) {
+        await flush();
+        t.mock.timers.tick(SETTINGS.maxDelayMs);
+    }
+    await call;
+    assert.equal(llm.calls, 3);
+    assert.equal(adapter.breaker.failures, 1);
+});
+
+test('a stream is not retried once it has sent a chunk', async () => {
+    let calls = 0;
+    const llm = {
+        async streamConversation(messages, callback) {
+            calls++;
+            callback('Hel');
+            throw new NetworkError('connection reset');
+        },
+    };
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    const chunks = [];
+    await assert.rejects(adapter.streamConversation([], (chunk) => chunks.push(chunk)), { message: 'connection reset' });
+    assert.equal(calls, 1);
+    assert.deepEqual(chunks, ['Hel']);
+});
+
+test('a cancelled call stops waiting and does not count against the provider', async () => {
+    const llm = scriptedModule([new NetworkError('down'), { content: 'Hi' }]);
+    const adapter = new RetryAdapter(llm, 'local', SETTINGS);
+    const controller = new AbortController();
+    const call = assert.rejects(adapter.sendConversation([], { signal: controller.signal }), { message: 'gone' });
+    await flush();
+    controller.abort(new Error('gone'));
+    await call;
+    assert.equal(llm.calls, 1);
+    assert.equal(adapter.breaker.failures, 0);
+});
+
+test('the breaker opens after breakerThreshold failed calls and fails fast', async () => {
+    const llm = scriptedModule([new NetworkError('down'), new NetworkError('down')]);
+    const adapter = new RetryAdapter(llm, 'local', { ...SETTINGS, maxAttempts: 1 });
+    await assert.rejects(adapter.sendConversation([]), NetworkError);
+    await assert.rejects(adapter.sendConversation([]), NetworkError);
+
+    await assert.rejects(adapter.sendConversation([]), (error) => {
+        assert.ok(error instanceof APIError);
+        assert.equal(error.code, 503);
+        assert.deepEqual(error.details, { provider: 'local', retryAfter: 5, circuitOpen: true });
+        return true;
+    });
+    assert.equal(llm.calls, 2, 'the open breaker did not call the provider');
+});
+
+test('after the cooldown one trial call is let through, and its failure reopens the breaker', (t) => {
+    const breaker = new CircuitBreaker({ threshold: 2, cooldownMs: 5000 });
+    breaker.failed();
+    assert.ok(breaker.allow(), 'closed below the threshold');
+    breaker.failed();
+    assert.equal(breaker.allow(), false, 'open');
+
+    t.mock.timers.tick(4999);
+    assert.equal(breaker.allow(), false);
+    t.mock.timers.tick(1);
+    assert.ok(breaker.allow(), 'half-open: the trial call goes ahead');
+    assert.equal(breaker.allow(), false, 'only one trial at a time');
+
+    breaker.failed();
+    assert.equal(breaker.waitMs(), 5000, 'open for another cooldown');
+    assert.equal(breaker.allow(), false);
+});
+
+test('a successful trial call closes the breaker', (t) => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 1000 });
+    breaker.failed();
+    t.mock.timers.tick(1000);
+    assert.ok(breaker.allow());
+    breaker.succeeded();
+
+    assert.equal(breaker.waitMs(), 0);
+    assert.equal(breaker.failures, 0);
+    assert.ok(breaker.allow());
+    assert.ok(breaker.allow(), 'closed: calls are no longer limited to one trial');
+});
+
+test('a cancelled trial call lets the next call try again', (t) => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 1000 });
+    breaker.failed();
+    t.mock.timers.tick(1000);
+    assert.ok(breaker.allow());
+    breaker.cancelled();
+    assert.ok(breaker.allow());
+});
+
+test('a breakerThreshold of 0 never opens the breaker', () => {
+    const breaker = new CircuitBreaker({ threshold: 0, cooldownMs: 1000 });
+    for (let i = 0; i < 10; i++) breaker.failed();
+    assert.ok(breaker.allow());
+});
@@ -0,0 +1,149 @@
+// test/sandbox-stream.test.js - Streamed Sandbox replies (server/sandbox-stream.js)
+//
+// A real LLMModule with the `ubc-llm-sandbox` provider, patched, streams from a stub of
+// the Sandbox's OpenAI-compatible chat completions endpoint on a local port.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { APIError, NoopLogger } = require('@ubc-genai-toolkit/core');
+const { LLMModule } = require('@ubc-genai-toolkit/llm');
+const { patchSandboxStreaming } = require('../server/sandbox-stream');
+
+const CHUNKS = [
+    { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1:8b', choices: [{ index: 0, delta: { role: 'assistant', content: '{"a":' } }] },
+    { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1:8b', choices: [{ index: 0, delta: { content: '1}' } }] },
+    { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1:8b', choices: [{ index: 0, delta: {}, finish_reason: 'length' }] },
+    { id: 'chatcmpl-1', object: 'chat.completion.chunk', model: 'llama3.1:8b', choices: [], usage: { prompt_tokens: 12, completion_tokens: 2, total_tokens: 14 } },
+];
+
+/**
+ * Starts a stub chat completions endpoint. Each request gets the next queued reply.
+ * @returns {Promise<{ endpoint: string, requests: object[], replies: Function[], close: () => Promise<void> }>}
+ */
+async function startSandbox() {
+    const requests = [];
+    const replies = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+            replies.shift()(res);
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        replies,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * @param {object[]} chunks - The chunks to stream.
+ * @returns {(res: http.ServerResponse) => void} A reply that streams them as Server-Sent Events.
+ */
+const streamOf = (chunks) => (res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    // Split one event across writes, as a proxy may
+    const events = chunks.map((chunk) => `data: ${JSON.stringify(chunk)}\n\n`).join('') + 'data: [DONE]\n\n';
+    res.write(events.slice(0, 30));
+    res.end(events.slice(30));
+};
+
+/**
+ * @param {string} endpoint - The stub endpoint.
+ * @param {object} [defaultOptions] - The module's default LLM options.
+ * @returns {LLMModule} A patched Sandbox module.
+ */
+const sandboxModule = (endpoint, defaultOptions) => patchSandboxStreaming(new LLMModule({
+    provider: 'ubc-llm-sandbox',
+    endpoint,
+    apiKey: 'key',
+    defaultModel: 'llama3.1',
+    defaultOptions,
+    logger: new NoopLogger(),
+}));
+
+let sandbox;
+test.before(async () => { sandbox = await startSandbox(); });
+test.after(() => sandbox.close());
+test.beforeEach(() => { sandbox.requests.length = 0; });
+
+test('streams the reply with usage and finish reason', async () => {
+    sandbox.replies.push(streamOf(CHUNKS));
+    const chunks = [];
+    const response = await sandboxModule(sandbox.endpoint).streamConversation([{ role: 'user', content: 'Hi' }], (chunk) => chunks.push(chunk));
+
+    assert.deepEqual(chunks, ['{"a":', '1}']);
+    assert.equal(response.content, '{"a":1}');
+    assert.equal(response.model, 'llama3.1:8b');
+    assert.deepEqual(response.usage, { promptTokens: 12, completionTokens: 2, totalTokens: 14 });
+    assert.equal(response.metadata.finish_reason, 'length');
+    assert.equal(response.metadata.provider, 'ubc-llm-sandbox');
+});
+
+test('asks for usage, and for JSON mode when responseFormat is json', async () => {
+    sandbox.replies.push(streamOf(CHUNKS));
+    await sandboxModule(sandbox.endpoint).streamConversation([{ role: 'user', content: 'Hi' }], () => {}, { responseFormat: 'json', maxTokens: 5 });
+
+    const [{ url, authorization, body }] = sandbox.requests;
+    assert.equal(url, '/v1/chat/completions');
+    assert.equal(authorization, 'Bearer key');
+    assert.equal(body.model, 'llama3.1');
+    assert.equal(body.max_tokens, 5);
+    assert.equal(body.stream, true);
+    assert.deepEqual(body.stream_options, { include_usage: true });
+    assert.deepEqual(body.response_format, { type: 'json_object' });
+});
+
+test("the module's default options reach the request, under the call's own options", async () => {
+    sandbox.replies.push(streamOf(CHUNKS));
+    const llm = sandboxModule(sandbox.endpoint, { temperature: 0.3, maxTokens: 77, responseFormat: 'json' });
+    await llm.streamConversation([{ role: 'user', content: 'Hi' }], () => {}, { temperature: 0.9 });
+
+    const [{ body }] = sandbox.requests;
+    assert.equal(body.temperature, 0.9);
+    assert.equal(body.max_tokens, 77);
+    assert.deepEqual(body.response_format, { type: 'json_object' });
+});
+
+test('JSON mode is off unless asked for', async () => {
+    sandbox.replies.push(streamOf(CHUNKS));
+    await sandboxModule(sandbox.endpoint).streamConversation([{ role: 'user', content: 'Hi' }], () => {});
+    assert.equal(sandbox.requests[0].body.response_format, undefined);
+});
+
+test("an error status goes through the provider's error handling", async () => {
+    sandbox.replies.push((res) => {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Bad model', type: 'invalid_request_error', code: 'model_not_found' } }));
+    });
+    await assert.rejects(sandboxModule(sandbox.endpoint).streamConversation([{ role: 'user', content: 'Hi' }], () => {}), (error) => {
+        assert.ok(error instanceof APIError);
+        assert.equal(error.code, 400);
+        assert.match(error.message, /^UBC LLM Sandbox API Error: .*Bad model/);
+        assert.equal(error.details.code, 'model_not_found');
+        return true;
+    });
+});
+
+test('a cancelled stream keeps the abort reason', async () => {
+    sandbox.replies.push(streamOf(CHUNKS));
+    const controller = new AbortController();
+    const stop = new Error('client gone');
+    const call = sandboxModule(sandbox.endpoint).streamConversation([{ role: 'user', content: 'Hi' }], () => {
+        controller.abort(stop);
+        throw stop;
+    }, { signal: controller.signal });
+    await assert.rejects(call, (error) => error === stop);
+});
+
+test('only Sandbox modules are patched', () => {
+    const llm = new LLMModule({ provider: 'ollama', endpoint: sandbox.endpoint, defaultModel: 'llama3.1', logger: new NoopLogger() });
+    const original = llm.provider.streamConversation;
+    patchSandboxStreaming(llm);
+    assert.equal(llm.provider.streamConversation, original);
+});
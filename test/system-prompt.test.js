@@ -0,0 +1,150 @@
+// test/system-prompt.test.js - System messages for Anthropic (server/system-prompt.js)
+//
+// The toolkit's AnthropicProvider, in a real LLMModule, calls a stub of Anthropic's
+// Messages API on a local port: its SDK client reads the address from ANTHROPIC_BASE_URL.
+// The provider drops system-role messages and only sends `options.systemPrompt`, as the
+// `system` parameter.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { NoopLogger } = require('@ubc-genai-toolkit/core');
+const { LLMModule } = require('@ubc-genai-toolkit/llm');
+const { SystemPromptAdapter, adaptSystemMessages, mergeSystemMessages } = require('../server/system-prompt');
+const { ConversationSummarizer } = require('../server/summarizer');
+
+/**
+ * Starts a stub Messages API that records each request.
+ * @returns {Promise<{ origin: string, requests: object[], close: () => Promise<void> }>}
+ */
+async function startMessagesApi() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const params = JSON.parse(body);
+            requests.push({ url: req.url, ...params });
+            if (!params.stream) {
+                res.setHeader('Content-Type', 'application/json');
+                return res.end(JSON.stringify({ content: [{ type: 'text', text: 'Hello' }], model: params.model }));
+            }
+            res.setHeader('Content-Type', 'text/event-stream');
+            for (const text of ['Hel', 'lo']) {
+                const event = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } };
+                res.write(`event: content_block_delta\ndata: ${JSON.stringify(event)}\n\n`);
+            }
+            res.end('event: message_stop\ndata: {"type":"message_stop"}\n\n');
+        });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    return {
+        origin: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((resolve) => server.close(resolve)),
+    };
+}
+
+/**
+ * @returns {LLMModule} A module with the toolkit's AnthropicProvider, calling the stub.
+ */
+const anthropicModule = () => new LLMModule({
+    provider: 'anthropic',
+    apiKey: 'key',
+    defaultModel: 'claude-test',
+    logger: new NoopLogger(),
+});
+
+let api;
+let baseUrl;
+test.before(async () => {
+    api = await startMessagesApi();
+    baseUrl = process.env.ANTHROPIC_BASE_URL;
+    process.env.ANTHROPIC_BASE_URL = api.origin;
+});
+test.after(() => {
+    if (baseUrl === undefined) delete process.env.ANTHROPIC_BASE_URL;
+    else process.env.ANTHROPIC_BASE_URL = baseUrl;
+    return api.close();
+});
+test.beforeEach(() => { api.requests.length = 0; });
+
+test('system messages reach the Messages API as the system parameter, in order', async () => {
+    const llm = adaptSystemMessages(anthropicModule());
+    const response = await llm.sendConversation([
+        { role: 'system', content: 'You are a TA.' },
+        { role: 'system', content: 'Summary of the earlier conversation:\nLoops.' },
+        { role: 'user', content: 'Hi' },
+    ]);
+
+    assert.equal(response.content, 'Hello');
+    assert.equal(api.requests[0].url, '/v1/messages');
+    assert.equal(api.requests[0].system, 'You are a TA.\n\nSummary of the earlier conversation:\nLoops.');
+    assert.deepEqual(api.requests[0].messages, [{ role: 'user', content: 'Hi' }]);
+});
+
+test('system messages with the same text are all sent', async () => {
+    const llm = adaptSystemMessages(anthropicModule());
+    await llm.sendConversation([
+        { role: 'system', content: 'Cite your sources.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Cite your sources.' },
+    ]);
+
+    assert.equal(api.requests[0].system, 'Cite your sources.\n\nCite your sources.');
+});
+
+test('an existing systemPrompt option comes first', async () => {
+    const llm = adaptSystemMessages(anthropicModule());
+    await llm.sendConversation(
+        [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+        { systemPrompt: 'You are a TA.' }
+    );
+
+    assert.equal(api.requests[0].system, 'You are a TA.\n\nBe brief.');
+});
+
+test('streamed conversations get the merged system prompt too', async () => {
+    const llm = adaptSystemMessages(anthropicModule());
+    const chunks = [];
+    const response = await llm.streamConversation(
+        [{ role: 'system', content: 'You are a TA.' }, { role: 'user', content: 'Hi' }],
+        (chunk) => chunks.push(chunk)
+    );
+
+    assert.deepEqual(chunks, ['Hel', 'lo']);
+    assert.equal(response.content, 'Hello');
+    assert.equal(api.requests[0].stream, true);
+    assert.equal(api.requests[0].system, 'You are a TA.');
+});
+
+test('the summary instructions are sent once', async () => {
+    const summarizer = new ConversationSummarizer({ everyTurns: 1, keepRecentTurns: 1, maxTokens: 100 });
+    const llm = adaptSystemMessages(anthropicModule());
+    const turns = [
+        { role: 'user', content: 'What is a loop?' },
+        { role: 'assistant', content: 'A way to repeat code.' },
+        { role: 'user', content: 'And recursion?' },
+        { role: 'assistant', content: 'A function that calls itself.' },
+        { role: 'user', content: 'Which is faster?' },
+    ];
+    const prepared = await summarizer.prepare(llm, turns, undefined, {});
+
+    assert.equal(prepared.refreshed, true);
+    const [summaryCall] = api.requests;
+    assert.ok(summaryCall.system.startsWith('You maintain a running summary'));
+    assert.ok(!summaryCall.system.includes('\n\n'));
+});
+
+test('only providers that ignore system messages are wrapped', () => {
+    const anthropic = anthropicModule();
+    const ollama = new LLMModule({ provider: 'ollama', endpoint: api.origin, defaultModel: 'llama3.1', logger: new NoopLogger() });
+    assert.ok(adaptSystemMessages(anthropic) instanceof SystemPromptAdapter);
+    assert.equal(adaptSystemMessages(ollama), ollama);
+});
+
+test('a conversation without system messages leaves the options alone', () => {
+    const options = { temperature: 0.2 };
+    const merged = mergeSystemMessages([{ role: 'user', content: 'Hi' }], options);
+    assert.equal(merged.options, options);
+});
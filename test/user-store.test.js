@@ -0,0 +1,39 @@
+// test/user-store.test.js - Local accounts (server/user-store.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { JsonFileUserStore } = require('../server/user-store');
+
+/**
+ * @param {import('node:test').TestContext} t - The test, which removes the store's directory when done.
+ * @returns {JsonFileUserStore} A store in a new temporary directory.
+ */
+function createStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-demo-users-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new JsonFileUserStore(path.join(directory, 'users.json'));
+}
+
+test('authenticate accepts the right password only', async (t) => {
+    const store = createStore(t);
+    const alice = await store.addUser('alice', 'correct horse', 'Alice');
+
+    assert.deepEqual(await store.authenticate('alice', 'correct horse'), alice);
+    assert.equal(await store.authenticate('alice', 'wrong'), null);
+});
+
+test('an unknown username is checked against the dummy hash', async (t) => {
+    const store = createStore(t);
+    await store.addUser('alice', 'correct horse');
+    const dummyHash = await store.dummyHash;
+    let checked = 0;
+    store.dummyHash = { then: (resolve) => { checked++; resolve(dummyHash); } };
+
+    assert.equal(await store.authenticate('bob', 'correct horse'), null);
+    assert.equal(checked, 1);
+    assert.notEqual(await store.authenticate('alice', 'correct horse'), null);
+    assert.equal(checked, 1, 'known usernames are checked against their own hash');
+});
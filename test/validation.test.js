@@ -0,0 +1,94 @@
+// test/validation.test.js - Request body validation (server/validation.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateChatRequest, validateEmbedRequest, validateOptions } = require('../server/validation');
+
+const LIMITS = { maxMessages: 3, maxChars: 20, maxTokens: 100, maxEmbedTexts: 2, maxEmbedChars: 5 };
+
+/**
+ * @param {Array<{field: string, message: string}>} problems - Validation problems.
+ * @returns {string[]} The fields at fault.
+ */
+const fields = (problems) => problems.map((problem) => problem.field);
+
+test('a valid chat request has no problems', () => {
+    const body = {
+        messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }],
+        options: { temperature: 0.5, maxTokens: 50, model: 'llama3.1' },
+        provider: 'local',
+        summary: { content: 'Earlier', coveredMessages: 0 },
+    };
+    assert.deepEqual(validateChatRequest(body, LIMITS), []);
+});
+
+test('a missing or non-object body is reported as body', () => {
+    assert.deepEqual(fields(validateChatRequest(undefined, LIMITS)), ['body']);
+    assert.deepEqual(fields(validateChatRequest([], LIMITS)), ['body']);
+});
+
+test('null message items are rejected instead of crashing', () => {
+    const problems = validateChatRequest({ messages: [null, { role: 'user', content: 'Hi' }] }, LIMITS);
+    assert.deepEqual(problems, [{ field: 'messages[0]', message: 'is required' }]);
+});
+
+test('messages must be objects with a known role and string content', () => {
+    const problems = validateChatRequest({
+        messages: ['hi', { role: 'tool', content: 'x' }, { role: 'user', content: 42 }],
+    }, LIMITS);
+    assert.deepEqual(fields(problems), ['messages[0]', 'messages[1].role', 'messages[2].content']);
+});
+
+test('the number of messages and their total length are limited', () => {
+    const tooMany = Array.from({ length: 4 }, () => ({ role: 'user', content: 'x' }));
+    assert.deepEqual(fields(validateChatRequest({ messages: tooMany }, LIMITS)), ['messages']);
+    assert.deepEqual(fields(validateChatRequest({ messages: [] }, LIMITS)), ['messages']);
+
+    const tooLong = validateChatRequest({ messages: [{ role: 'user', content: 'x'.repeat(21) }] }, LIMITS);
+    assert.equal(tooLong.length, 1);
+    assert.match(tooLong[0].message, /at most 20 characters in total/);
+});
+
+test('the summary counts towards the total length', () => {
+    const problems = validateChatRequest({
+        messages: [{ role: 'user', content: 'x'.repeat(10) }],
+        summary: { content: 'y'.repeat(11), coveredMessages: 0 },
+    }, LIMITS);
+    assert.deepEqual(fields(problems), ['messages']);
+});
+
+test('options are range-checked and unknown options are rejected', () => {
+    const problems = validateOptions({ temperature: 3, maxTokens: 101, stream: true }, LIMITS);
+    assert.deepEqual(fields(problems), ['options.temperature', 'options.maxTokens', 'options.stream']);
+    assert.deepEqual(validateOptions({ maxTokens: 1.5 }, LIMITS), [{ field: 'options.maxTokens', message: 'must be a whole number' }]);
+    assert.deepEqual(validateOptions(undefined, LIMITS), []);
+    assert.deepEqual(validateOptions({ responseFormat: 'json' }, LIMITS), []);
+    assert.deepEqual(fields(validateOptions({ responseFormat: 'xml' }, LIMITS)), ['options.responseFormat']);
+});
+
+test('unknown top-level fields are rejected', () => {
+    const problems = validateChatRequest({ messages: [{ role: 'user', content: 'Hi' }], stream: true }, LIMITS);
+    assert.deepEqual(problems, [{ field: 'stream', message: 'is not allowed' }]);
+});
+
+test('inherited property names are rejected like any unknown field', () => {
+    const body = {
+        messages: [{ role: 'user', content: 'hi', toString: 1 }],
+        options: { constructor: { x: 1 }, hasOwnProperty: 5 },
+        valueOf: 3,
+    };
+    assert.deepEqual(fields(validateChatRequest(body, LIMITS)), [
+        'messages[0].toString',
+        'options.constructor',
+        'options.hasOwnProperty',
+        'valueOf',
+    ]);
+});
+
+test('embed texts are limited in number and length unless truncated', () => {
+    assert.deepEqual(validateEmbedRequest({ texts: ['abc'] }, LIMITS), []);
+    assert.deepEqual(fields(validateEmbedRequest({ texts: ['a', 'b', 'c'] }, LIMITS)), ['texts']);
+    assert.deepEqual(fields(validateEmbedRequest({ texts: ['abcdef'] }, LIMITS)), ['texts[0]']);
+    assert.deepEqual(validateEmbedRequest({ texts: ['abcdef'], truncate: true }, LIMITS), []);
+    assert.deepEqual(fields(validateEmbedRequest({ texts: [null] }, LIMITS)), ['texts[0]']);
+});